@@ -0,0 +1,141 @@
+// Figures for the results dashboard. Amounts in different currencies can't be
+// added up, so everything except the match rate is worked out for one currency.
+// rowsFor(category) supplies each category's rows, which lets the page pass in
+// only the rows its table filters currently show.
+class ReconciliationAnalytics {
+    static get AGING_BUCKETS() {
+        return [
+            { label: '0–3 days', max: 3 },
+            { label: '4–7 days', max: 7 },
+            { label: '8–30 days', max: 30 },
+            { label: '30+ days', max: Infinity }
+        ];
+    }
+
+    // How each category's rows are valued: the provider's figure for pairs, the
+    // row's own amount for orphans and the expected amount for payouts
+    static get VALUE_CATEGORIES() {
+        const pair = match => ({ currency: match.provider.currency || match.currency || '', minor: match.provider.amount_minor });
+        const txn = row => ({ currency: row.currency || '', minor: row.amount_minor });
+        const payout = row => ({ currency: row.currency || '', minor: row.expected_minor });
+        return [
+            { category: 'matched', label: 'Perfect Matches', value: pair },
+            { category: 'mismatched', label: 'Mismatched', value: pair },
+            { category: 'status_timing', label: 'Pending vs Settled', value: pair },
+            { category: 'timing_differences', label: 'Timing Differences', value: timing => txn(timing.transaction) },
+            { category: 'suggested', label: 'Suggested Matches', value: suggestion => txn(suggestion.internal) },
+            { category: 'internal_only', label: 'Internal Only', value: txn },
+            { category: 'provider_only', label: 'Provider Only', value: txn },
+            { category: 'settlement_mismatches', label: 'Settlement Mismatches', value: payout },
+            { category: 'unsettled_payouts', label: 'Unsettled Payouts', value: payout },
+            { category: 'bank_only', label: 'Bank Only', value: txn }
+        ];
+    }
+
+    constructor(results, rowsFor = category => results[category] || []) {
+        this.results = results;
+        this.rowsFor = rowsFor;
+    }
+
+    // Currencies present in the results, most common first
+    currencies() {
+        const counts = new Map();
+        ReconciliationAnalytics.VALUE_CATEGORIES.forEach(({ category, value }) => {
+            (this.results[category] || []).forEach(row => {
+                const { currency } = value(row);
+                counts.set(currency, (counts.get(currency) || 0) + 1);
+            });
+        });
+        return [...counts].sort((a, b) => b[1] - a[1]).map(([currency]) => currency);
+    }
+
+    // Count and total value per category, for rows in the given currency
+    valueTotals(currency) {
+        return ReconciliationAnalytics.VALUE_CATEGORIES
+            .filter(({ category }) => this.results[category])
+            .map(({ category, label, value }) => {
+                const values = this.rowsFor(category).map(value).filter(entry => entry.currency === currency);
+                return {
+                    category,
+                    label,
+                    count: values.length,
+                    minor: values.reduce((sum, entry) => sum + Math.abs(entry.minor || 0), 0)
+                };
+            });
+    }
+
+    mismatches(currency) {
+        return this.rowsFor('mismatched').filter(match => match.currency === currency && match.variance !== null);
+    }
+
+    // Absolute variance of mismatched pairs grouped by the provider's status
+    varianceByStatus(currency) {
+        const totals = new Map();
+        this.mismatches(currency).forEach(match => {
+            const state = match.provider.status_state || 'unknown';
+            totals.set(state, (totals.get(state) || 0) + Math.abs(match.variance));
+        });
+        return [...StatusNormalizer.STATES, 'unknown']
+            .filter(state => totals.has(state))
+            .map(state => ({ label: state, value: totals.get(state) }));
+    }
+
+    // Absolute variance of mismatched pairs per transaction day
+    varianceByDay(currency) {
+        const totals = new Map();
+        this.mismatches(currency).forEach(match => {
+            const day = DateParser.toISODate(match.internal.date_ms ?? match.provider.date_ms) || 'Undated';
+            totals.set(day, (totals.get(day) || 0) + Math.abs(match.variance));
+        });
+        return [...totals].sort((a, b) => a[0].localeCompare(b[0])).map(([label, value]) => ({ label, value }));
+    }
+
+    // Unmatched rows by how long they have been open as of the given timestamp
+    aging(currency, asOf) {
+        const buckets = ReconciliationAnalytics.AGING_BUCKETS.map(bucket => ({ ...bucket, internal: 0, provider: 0, internal_minor: 0, provider_minor: 0 }));
+        const undated = { label: 'Undated', internal: 0, provider: 0, internal_minor: 0, provider_minor: 0 };
+
+        [['internal', this.rowsFor('internal_only')], ['provider', this.rowsFor('provider_only')]].forEach(([side, rows]) => {
+            rows.filter(row => (row.currency || '') === currency).forEach(row => {
+                const age = row.date_ms === null || row.date_ms === undefined ? null : Math.floor((asOf - row.date_ms) / 86400000);
+                const bucket = age === null ? undated : buckets.find(candidate => age <= candidate.max);
+                bucket[side] += 1;
+                bucket[`${side}_minor`] += Math.abs(row.amount_minor || 0);
+            });
+        });
+
+        return undated.internal + undated.provider > 0 ? [...buckets, undated] : buckets;
+    }
+
+    // The biggest open differences: mismatch variances and whole unmatched amounts
+    largestDiscrepancies(currency, limit = 10) {
+        const entries = [
+            ...this.mismatches(currency).map(match => ({
+                category: 'Mismatched',
+                reference: match.transaction_reference,
+                date: match.internal.date || match.provider.date || '',
+                minor: match.variance
+            })),
+            ...[['Internal Only', 'internal_only'], ['Provider Only', 'provider_only']].flatMap(([label, category]) => this.rowsFor(category)
+                .filter(row => (row.currency || '') === currency && row.amount_minor !== null)
+                .map(row => ({ category: label, reference: row.reference || `line ${row.line}`, date: row.date || '', minor: row.amount_minor }))),
+            ...this.rowsFor('settlement_mismatches')
+                .filter(payout => payout.currency === currency && payout.variance !== null)
+                .map(payout => ({ category: 'Settlement Mismatch', reference: payout.reference, date: DateParser.toISODate(payout.date_ms), minor: payout.variance }))
+        ];
+        return entries.sort((a, b) => Math.abs(b.minor) - Math.abs(a.minor)).slice(0, limit);
+    }
+
+    // Share of internal transactions that matched perfectly
+    static matchRate(summary) {
+        return summary.total_internal > 0 ? summary.matched_count / summary.total_internal : 0;
+    }
+
+    // Match rate of past runs (as kept by RunHistory), oldest first
+    static matchRateSeries(runs, limit = 30) {
+        return [...runs]
+            .sort((a, b) => a.reconciled_at.localeCompare(b.reconciled_at))
+            .slice(-limit)
+            .map(run => ({ label: run.reconciled_at.slice(0, 10), value: ReconciliationAnalytics.matchRate(run.summary) }));
+    }
+}
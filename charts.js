@@ -0,0 +1,119 @@
+// Small SVG charts built as markup strings, so the dashboard needs no charting
+// library or CDN. Charts scale to their container through the viewBox.
+class SvgChart {
+    static get WIDTH() {
+        return 640;
+    }
+
+    static get HEIGHT() {
+        return 240;
+    }
+
+    static get MARGIN() {
+        return { top: 15, right: 15, bottom: 45, left: 75 };
+    }
+
+    // items: [{ label, values: [n, ...] }], one value per series.
+    // options: { series: [name, ...], max, format(value) -> text }
+    static bars(items, options = {}) {
+        const series = options.series || [''];
+        const format = options.format || (value => String(value));
+        if (items.length === 0) {
+            return SvgChart.empty(options.emptyMessage);
+        }
+
+        const { top, right, bottom, left } = SvgChart.MARGIN;
+        const plotWidth = SvgChart.WIDTH - left - right;
+        const plotHeight = SvgChart.HEIGHT - top - bottom;
+        const max = options.max ?? (Math.max(...items.flatMap(item => item.values), 0) || 1);
+        const slot = plotWidth / items.length;
+        const barWidth = Math.max(2, (slot * 0.7) / series.length);
+        const y = value => top + plotHeight - (value / max) * plotHeight;
+
+        const bars = items.map((item, index) => item.values.map((value, seriesIndex) => {
+            const x = left + index * slot + slot * 0.15 + seriesIndex * barWidth;
+            const name = series[seriesIndex] ? `${series[seriesIndex]}: ` : '';
+            return `
+                <rect class="chart-series-${seriesIndex}" x="${x.toFixed(1)}" y="${y(value).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${(top + plotHeight - y(value)).toFixed(1)}">
+                    <title>${SafeHtml.escape(`${item.label} — ${name}${format(value)}`)}</title>
+                </rect>
+            `;
+        }).join('')).join('');
+
+        return SvgChart.frame(
+            SvgChart.yAxis(max, y, format)
+            + bars
+            + SvgChart.xLabels(items.map(item => item.label), index => left + index * slot + slot / 2),
+            series.length > 1 ? series : []
+        );
+    }
+
+    // points: [{ label, value }] in order; options: { max, format(value) -> text }
+    static line(points, options = {}) {
+        const format = options.format || (value => String(value));
+        if (points.length === 0) {
+            return SvgChart.empty(options.emptyMessage);
+        }
+
+        const { top, right, bottom, left } = SvgChart.MARGIN;
+        const plotWidth = SvgChart.WIDTH - left - right;
+        const plotHeight = SvgChart.HEIGHT - top - bottom;
+        const max = options.max ?? (Math.max(...points.map(point => point.value), 0) || 1);
+        const step = points.length > 1 ? plotWidth / (points.length - 1) : 0;
+        const x = index => left + (points.length > 1 ? index * step : plotWidth / 2);
+        const y = value => top + plotHeight - (value / max) * plotHeight;
+
+        const path = points.map((point, index) => `${index === 0 ? 'M' : 'L'}${x(index).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+        const dots = points.map((point, index) => `
+            <circle class="chart-point" cx="${x(index).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="4">
+                <title>${SafeHtml.escape(`${point.label} — ${format(point.value)}`)}</title>
+            </circle>
+        `).join('');
+
+        return SvgChart.frame(
+            SvgChart.yAxis(max, y, format)
+            + `<path class="chart-line" d="${path}"></path>`
+            + dots
+            + SvgChart.xLabels(points.map(point => point.label), x),
+            []
+        );
+    }
+
+    static yAxis(max, y, format) {
+        const { left, right } = SvgChart.MARGIN;
+        return [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+            const value = max * fraction;
+            return `
+                <line class="chart-grid" x1="${left}" x2="${SvgChart.WIDTH - right}" y1="${y(value).toFixed(1)}" y2="${y(value).toFixed(1)}"></line>
+                <text class="chart-axis" x="${left - 8}" y="${(y(value) + 4).toFixed(1)}" text-anchor="end">${SafeHtml.escape(format(value))}</text>
+            `;
+        }).join('');
+    }
+
+    // Only every nth label is drawn once there are too many to fit
+    static xLabels(labels, x) {
+        const every = Math.ceil(labels.length / 10);
+        const baseline = SvgChart.HEIGHT - SvgChart.MARGIN.bottom + 18;
+        return labels.map((label, index) => index % every === 0
+            ? `<text class="chart-axis" x="${x(index).toFixed(1)}" y="${baseline}" text-anchor="middle">${SafeHtml.escape(label)}</text>`
+            : ''
+        ).join('');
+    }
+
+    static frame(content, legend) {
+        return `
+            <svg class="chart" viewBox="0 0 ${SvgChart.WIDTH} ${SvgChart.HEIGHT}" role="img" preserveAspectRatio="xMidYMid meet">
+                ${content}
+            </svg>
+            ${legend.length > 0 ? `
+            <div class="chart-legend">
+                ${legend.map((name, index) => `<span><i class="chart-swatch chart-series-${index}"></i>${SafeHtml.escape(name)}</span>`).join('')}
+            </div>
+            ` : ''}
+        `;
+    }
+
+    static empty(message = 'Nothing to chart') {
+        return `<p class="chart-empty">${SafeHtml.escape(message)}</p>`;
+    }
+}
@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+// Runs a reconciliation without the browser, for cron jobs and CI pipelines.
+//
+//   node cli.js <internal file> <provider file> --config <config.json> [--bank <file>] [--out <dir>] [--max-unresolved <n>]
+//
+// Input files may be in any format the page accepts (CSV, JSON, XLSX, OFX/QIF,
+// camt.053 or MT940). With --bank, provider payouts are also matched against the
+// bank statement for a three-way reconciliation. The config's dataQuality setting
+// ("continue", "exclude" or "abort") decides what happens to rows that fail the
+// data-quality check. Writes the per-category CSVs, the XLSX workbook, the JSON
+// results and the sign-off page to the output directory. Exits with 1 when the
+// number of unresolved discrepancies is above the threshold, and with 2 when the
+// run could not be completed. Counted by default: mismatched, internal-only,
+// provider-only, duplicates, fee deviations and settlement breaks; the config's
+// failOn.categories replaces that list.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The same scripts the page loads, minus everything that touches the DOM
+const CORE_SCRIPTS = [
+    'csv-parser.js',
+    'xml-reader.js',
+    'zip-reader.js',
+    'importers.js',
+    'money.js',
+    'date-parser.js',
+    'fx-rates.js',
+    'status-map.js',
+    'fee-rules.js',
+    'column-mapping.js',
+    'match-rules.js',
+    'data-quality.js',
+    'fuzzy-matcher.js',
+    'group-matcher.js',
+    'settlement-matcher.js',
+    'reconciliation-engine.js',
+    'exception-store.js',
+    'run-history.js',
+    'csv-export.js',
+    'xlsx-writer.js',
+    'safe-html.js',
+    'report-export.js'
+];
+
+// Categories failOn.categories may name, and the ones counted when it is not set
+const FAIL_ON_CATEGORIES = ['mismatched', 'internal_only', 'provider_only', 'duplicates', 'fee_deviations', 'timing_differences', 'status_timing', 'suggested', 'settlement_mismatches', 'unsettled_payouts', 'bank_only'];
+const DEFAULT_FAIL_ON = ['mismatched', 'internal_only', 'provider_only', 'duplicates', 'fee_deviations', 'settlement_mismatches', 'unsettled_payouts', 'bank_only'];
+
+// Mirrors the defaults of the settings panel on the page
+const DEFAULT_SETTINGS = {
+    tolerance: { mode: 'absolute', absolute: '0.00', percentage: 0, perCurrency: {} },
+    defaultCurrency: { internal: '', provider: '' },
+    fxRates: [],
+    fxTolerance: 0.5,
+    compareBasis: 'gross',
+    feeRule: { percentage: 0, fixed: '' },
+    feeTolerance: '0.00',
+    dateFormat: 'auto',
+    maxDateDrift: 5,
+    period: { start: '', end: '', cutoffDays: 2 },
+    statusMap: { internal: {}, provider: {} },
+    carryForward: false,
+    settlementDays: 3
+};
+
+function loadCore() {
+    CORE_SCRIPTS.forEach(file => {
+        vm.runInThisContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), { filename: file });
+    });
+}
+
+function usage(message) {
+    if (message) {
+        console.error(`Error: ${message}`);
+    }
+    console.error('Usage: node cli.js <internal file> <provider file> --config <config.json> [--bank <file>] [--out <dir>] [--max-unresolved <n>]');
+    process.exit(2);
+}
+
+function parseArgs(argv) {
+    const args = { files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--config' || arg === '--bank' || arg === '--out' || arg === '--max-unresolved') {
+            if (i + 1 >= argv.length) {
+                usage(`${arg} needs a value`);
+            }
+            args[arg.slice(2)] = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            usage();
+        } else if (arg.startsWith('--')) {
+            usage(`Unknown option ${arg}`);
+        } else {
+            args.files.push(arg);
+        }
+    }
+    if (args.files.length !== 2) {
+        usage('Expected an internal and a provider file');
+    }
+    if (!args.config) {
+        usage('--config is required');
+    }
+    return args;
+}
+
+function readConfig(configPath) {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const baseDir = path.dirname(path.resolve(configPath));
+    const settings = { ...DEFAULT_SETTINGS, ...(config.settings || {}) };
+
+    // FX rates may be given inline (as rows or CSV text) or as a file next to the config
+    let fxText = null;
+    if (config.fxRatesFile) {
+        fxText = fs.readFileSync(path.resolve(baseDir, config.fxRatesFile), 'utf8');
+    } else if (typeof settings.fxRates === 'string') {
+        fxText = settings.fxRates;
+    }
+    if (fxText !== null) {
+        const fx = FxRateTable.parse(fxText);
+        if (fx.errors.length > 0) {
+            throw new Error(fx.errors.join('. '));
+        }
+        settings.fxRates = fx.table.rates;
+    } else {
+        settings.fxRates = new FxRateTable(settings.fxRates || []).rates;
+    }
+
+    if (!['continue', 'exclude', 'abort'].includes(config.dataQuality || 'continue')) {
+        throw new Error('dataQuality must be "continue", "exclude" or "abort"');
+    }
+
+    const failOn = config.failOn || {};
+    if (failOn.categories !== undefined && !Array.isArray(failOn.categories)) {
+        throw new Error('failOn.categories must be a list of result categories');
+    }
+    const unknown = (failOn.categories || []).filter(category => !FAIL_ON_CATEGORIES.includes(category));
+    if (unknown.length > 0) {
+        throw new Error(`failOn.categories has unknown categories ${unknown.join(', ')}; use ${FAIL_ON_CATEGORIES.join(', ')}`);
+    }
+
+    // Matching rules may likewise be inline or an exported profile file
+    if (config.matchProfileFile) {
+        settings.matchProfile = JSON.parse(fs.readFileSync(path.resolve(baseDir, config.matchProfileFile), 'utf8'));
+    }
+
+    return {
+        settings,
+        mappings: config.mappings || {},
+        output: config.output || {},
+        failOn: { ...failOn, categories: failOn.categories || DEFAULT_FAIL_ON },
+        dataQuality: config.dataQuality || 'continue',
+        baseDir
+    };
+}
+
+// Gives the engine what it reads from a browser File: a Blob with a name and lastModified
+async function openFile(filePath) {
+    const stat = fs.statSync(filePath);
+    const blob = fs.openAsBlob ? await fs.openAsBlob(filePath) : new Blob([fs.readFileSync(filePath)]);
+    return Object.assign(blob, {
+        name: path.basename(filePath),
+        lastModified: stat.mtimeMs
+    });
+}
+
+function resolveMapping(side, csv, configured) {
+    const mapping = configured || ColumnMapper.guess(csv.headers);
+    const errors = ColumnMapper.validate(mapping);
+    if (errors.length > 0) {
+        throw new Error(`${side} file: ${errors.join('. ')} (columns: ${csv.headers.join(', ')})`);
+    }
+    return mapping;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    loadCore();
+
+    const config = readConfig(args.config);
+    const engine = new ReconciliationEngine();
+    const [internalFile, providerFile] = await Promise.all(args.files.map(openFile));
+    const bankFile = args.bank ? await openFile(args.bank) : null;
+
+    const internal = await engine.parseFile(internalFile);
+    const provider = await engine.parseFile(providerFile);
+    const bank = bankFile ? await engine.parseFile(bankFile) : null;
+    [[internalFile, internal], [providerFile, provider], [bankFile, bank]].forEach(([file, csv]) => {
+        if (csv && csv.rows.length === 0) {
+            const first = csv.rejected[0];
+            throw new Error(`${file.name} has no valid rows (line ${first.line}: ${first.reason})`);
+        }
+    });
+
+    const mappings = {
+        internal: resolveMapping('Internal', internal, config.mappings.internal),
+        provider: resolveMapping('Provider', provider, config.mappings.provider),
+        bank: bank ? resolveMapping('Bank', bank, config.mappings.bank) : null
+    };
+
+    // The page asks what to do about data-quality problems; here the config decides
+    const issues = [
+        ...DataQualityCheck.rejectedIssues('internal', internal.rejected),
+        ...DataQualityCheck.rejectedIssues('provider', provider.rejected),
+        ...(bank ? DataQualityCheck.rejectedIssues('bank', bank.rejected) : []),
+        ...await engine.run({
+            type: 'validate',
+            internal: internal.rows,
+            provider: provider.rows,
+            bank: bank ? bank.rows : null,
+            mappings,
+            settings: config.settings
+        })
+    ];
+    const errors = issues.filter(issue => issue.severity === 'error');
+    if (config.dataQuality === 'abort' && errors.length > 0) {
+        const examples = errors.slice(0, 3).map(issue => `${issue.source} line ${issue.line}: ${issue.problem}`);
+        throw new Error(`${errors.length} data-quality errors (${examples.join('; ')}${errors.length > 3 ? '; …' : ''})`);
+    }
+    const excludedLines = config.dataQuality === 'exclude' ? DataQualityCheck.offendingLines(issues) : null;
+    const rowsOf = (side, csv) => excludedLines ? csv.rows.filter(row => !excludedLines[side].has(row.line)) : csv.rows;
+
+    const results = await engine.run({
+        type: 'reconcile',
+        internal: rowsOf('internal', internal),
+        provider: rowsOf('provider', provider),
+        bank: bank ? rowsOf('bank', bank) : null,
+        mappings,
+        settings: config.settings
+    });
+
+    results.rejected = [
+        ...internal.rejected.map(row => ({ ...row, source: 'Internal' })),
+        ...provider.rejected.map(row => ({ ...row, source: 'Provider' })),
+        ...(bank ? bank.rejected.map(row => ({ ...row, source: 'Bank' })) : [])
+    ];
+    results.summary.rejected_count = results.rejected.length;
+    results.excluded = excludedLines
+        ? [['internal', internal], ['provider', provider], ['bank', bank]]
+            .filter(([, csv]) => csv)
+            .flatMap(([side, csv]) => DataQualityCheck.excludedRows(side, csv.rows, excludedLines[side], issues))
+        : [];
+    results.summary.excluded_count = results.excluded.length;
+    results.summary.data_quality_issue_count = issues.filter(issue => !issue.rejected).length;
+    results.run = {
+        id: RunHistory.runId(internalFile, providerFile, bankFile),
+        internal_file: internalFile.name,
+        provider_file: providerFile.name,
+        bank_file: bankFile ? bankFile.name : '',
+        reconciled_at: new Date().toISOString()
+    };
+
+    // Write the reports
+    const outDir = path.resolve(args.out || path.resolve(config.baseDir, config.output.dir || 'reports'));
+    const formats = config.output.formats || ['csv', 'xlsx', 'json', 'html'];
+    fs.mkdirSync(outDir, { recursive: true });
+
+    const report = new ReconciliationReport(results);
+    if (formats.includes('csv')) {
+        const exporter = new CsvExporter();
+        ReconciliationReport.CATEGORIES.forEach(([category]) => {
+            if ((results[category] || []).length > 0) {
+                fs.writeFileSync(path.join(outDir, `${category.replace(/_/g, '-')}.csv`), exporter.convert(results[category], category));
+            }
+        });
+        if (issues.length > 0) {
+            fs.writeFileSync(path.join(outDir, 'data-quality.csv'), exporter.convert(issues, 'data_quality'));
+        }
+    }
+    if (formats.includes('xlsx')) {
+        fs.writeFileSync(path.join(outDir, 'reconciliation-report.xlsx'), Buffer.from(await report.workbook().arrayBuffer()));
+    }
+    if (formats.includes('json')) {
+        fs.writeFileSync(path.join(outDir, 'reconciliation-results.json'), report.json());
+    }
+    if (formats.includes('html')) {
+        fs.writeFileSync(path.join(outDir, 'reconciliation-signoff.html'), report.signOffHtml());
+    }
+
+    const { summary } = results;
+    const unresolved = config.failOn.categories.reduce((count, category) => count + results[category].length, 0);
+    const threshold = Number(args['max-unresolved'] ?? config.failOn.maxUnresolved ?? 0);
+
+    console.log([
+        `Internal: ${summary.total_internal}, provider: ${summary.total_provider}`,
+        `Matched: ${summary.matched_count}, mismatched: ${summary.mismatched_count}, pending vs settled: ${summary.status_timing_count}`,
+        `Internal only: ${summary.internal_only_count}, provider only: ${summary.provider_only_count}, duplicates: ${summary.duplicate_count}, rejected rows: ${summary.rejected_count}`,
+        `Data-quality problems: ${issues.length} (${errors.length} errors), excluded rows: ${summary.excluded_count}`,
+        ...(summary.total_bank !== null ? [
+            `Bank: ${summary.total_bank}, confirmed in all three: ${summary.three_way_confirmed_count}, settlement mismatches: ${summary.settlement_mismatch_count}, unsettled payouts: ${summary.unsettled_payout_count}, bank only: ${summary.bank_only_count}`
+        ] : []),
+        ...summary.variance_totals.map(total => `Net variance ${total.currency || '(no currency)'}: ${Money.toDecimal(total.net, total.currency)}`),
+        `Unresolved discrepancies: ${unresolved} (threshold ${threshold})`,
+        `Reports written to ${outDir}`
+    ].join('\n'));
+
+    if (unresolved > threshold) {
+        console.error(`Unresolved discrepancies (${unresolved}) exceed the threshold of ${threshold}`);
+        process.exitCode = 1;
+    }
+}
+
+// The tests load the same scripts through loadCore
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 2;
+    });
+}
+
+module.exports = { loadCore };
@@ -0,0 +1,131 @@
+// Maps arbitrary CSV headers onto the canonical transaction fields used by reconciliation
+class ColumnMapper {
+    static get FIELDS() {
+        return [
+            { key: 'reference', label: 'Reference', required: true, aliases: ['transaction reference', 'transaction ref', 'reference', 'ref', 'txn id', 'txn ref', 'transaction id', 'id'] },
+            { key: 'amount', label: 'Amount', required: true, alternative: 'net', aliases: ['amount', 'gross amount', 'gross', 'transaction amount', 'value', 'total'] },
+            { key: 'currency', label: 'Currency', aliases: ['currency', 'currency code', 'ccy', 'cur'] },
+            { key: 'status', label: 'Status', aliases: ['status', 'settlement state', 'state', 'transaction status', 'result'] },
+            { key: 'date', label: 'Date', aliases: ['date', 'transaction date', 'created at', 'created', 'settlement date', 'value date', 'timestamp'] },
+            { key: 'fee', label: 'Fee', aliases: ['fee', 'fees', 'fee amount', 'commission'] },
+            { key: 'counterparty', label: 'Counterparty', aliases: ['counterparty', 'customer', 'customer name', 'payer', 'payee', 'merchant', 'name'] },
+            { key: 'batch_id', label: 'Batch / Payout ID', aliases: ['batch id', 'payout id', 'settlement id', 'batch', 'payout', 'settlement batch', 'transfer id'] },
+            { key: 'net', label: 'Net Amount', aliases: ['net', 'net amount', 'payout amount', 'settled amount', 'net settlement'] },
+            { key: 'description', label: 'Description', aliases: ['description', 'memo', 'narrative', 'details', 'note', 'notes'] }
+        ];
+    }
+
+    static normalizeHeader(header) {
+        return header.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+
+    // Identifies a file layout regardless of column order or header casing
+    static signature(headers) {
+        return headers.map(ColumnMapper.normalizeHeader).sort().join('|');
+    }
+
+    // Returns { header: fieldKey } for every header we can recognise
+    static guess(headers) {
+        const mapping = {};
+        const normalized = headers.map(ColumnMapper.normalizeHeader);
+
+        ColumnMapper.FIELDS.forEach(field => {
+            for (const alias of field.aliases) {
+                const index = normalized.indexOf(alias);
+                if (index !== -1 && !mapping[headers[index]]) {
+                    mapping[headers[index]] = field.key;
+                    return;
+                }
+            }
+        });
+
+        return mapping;
+    }
+
+    // Carries a saved mapping over to a file whose headers differ only in order or casing
+    static adapt(savedMapping, headers) {
+        const byNormalized = {};
+        Object.entries(savedMapping).forEach(([header, key]) => {
+            byNormalized[ColumnMapper.normalizeHeader(header)] = key;
+        });
+
+        const mapping = {};
+        headers.forEach(header => {
+            const key = byNormalized[ColumnMapper.normalizeHeader(header)];
+            if (key) {
+                mapping[header] = key;
+            }
+        });
+        return mapping;
+    }
+
+    static validate(mapping) {
+        const errors = [];
+        const mapped = Object.values(mapping).filter(Boolean);
+
+        ColumnMapper.FIELDS.forEach(field => {
+            const count = mapped.filter(key => key === field.key).length;
+            // A required field may be satisfied by its alternative, e.g. gross derived from net + fee
+            if (field.required && count === 0 && !(field.alternative && mapped.includes(field.alternative))) {
+                errors.push(`${field.label} must be mapped to a column`);
+            } else if (count > 1) {
+                errors.push(`${field.label} is mapped to more than one column`);
+            }
+        });
+
+        return errors;
+    }
+
+    // Converts parsed rows ({ line, data }) into canonical records, keeping the original row as `raw`
+    static apply(rows, mapping) {
+        const columns = Object.entries(mapping).filter(([, key]) => key);
+
+        return rows.map(row => {
+            const record = {};
+            ColumnMapper.FIELDS.forEach(field => {
+                record[field.key] = '';
+            });
+            columns.forEach(([header, key]) => {
+                record[key] = (row.data[header] || '').toString().trim();
+            });
+            record.line = row.line;
+            record.raw = row.data;
+            return record;
+        });
+    }
+}
+
+// Named mapping profiles kept in localStorage so a provider's layout only has to be mapped once
+class MappingProfiles {
+    constructor(storageKey = 'reconciliation.mappingProfiles') {
+        this.storageKey = storageKey;
+    }
+
+    list() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    get(name) {
+        return this.list().find(profile => profile.name === name) || null;
+    }
+
+    findByHeaders(headers) {
+        const signature = ColumnMapper.signature(headers);
+        return this.list().find(profile => profile.signature === signature) || null;
+    }
+
+    save(name, headers, mapping) {
+        const profiles = this.list().filter(profile => profile.name !== name);
+        profiles.push({
+            name,
+            signature: ColumnMapper.signature(headers),
+            mapping,
+            updated_at: new Date().toISOString()
+        });
+        localStorage.setItem(this.storageKey, JSON.stringify(profiles));
+    }
+}
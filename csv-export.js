@@ -0,0 +1,292 @@
+// Per-category CSV exports, shared by the page and the command-line runner
+class CsvExporter {
+    // resolutionFor(category, row): the exception resolution recorded for a row, if any
+    // masker: optional PiiMasker for references, descriptions and quoted file contents
+    constructor(options = {}) {
+        this.resolutionFor = options.resolutionFor || (() => null);
+        this.masker = options.masker || null;
+    }
+
+    mask(field, value, row = null) {
+        return this.masker ? this.masker.value(field, value, row) : value;
+    }
+
+    // Decimal string for a row's amount, falling back to the raw text when it couldn't be parsed
+    static formatAmount(txn) {
+        if (txn.amount_minor === null || txn.amount_minor === undefined) {
+            return txn.amount || '';
+        }
+        return Money.toDecimal(txn.amount_minor, txn.currency);
+    }
+
+    convert(data, type) {
+        if (!data || data.length === 0) {
+            return 'No data available for export';
+        }
+
+        let headers = [];
+        let rows = [];
+
+        switch (type) {
+            case 'matched':
+                headers = ['Transaction Reference', 'Amount', 'Currency', 'Provider Amount', 'Provider Currency', 'Status', 'Date', 'Match Type', 'Match Rule'];
+                rows = data.map(match => [
+                    this.mask('reference', match.transaction_reference, match.internal) || '',
+                    CsvExporter.formatAmount(match.internal),
+                    match.internal.currency || '',
+                    CsvExporter.formatAmount(match.provider),
+                    match.provider.currency || '',
+                    match.internal.status || '',
+                    match.internal.date || '',
+                    'Perfect Match',
+                    match.match_rule || ''
+                ]);
+                break;
+
+            case 'mismatched':
+                headers = ['Transaction Reference', 'Internal Amount', 'Internal Currency', 'Converted Amount', 'FX Rate', 'Provider Amount', 'Provider Currency', 'Provider Fee', 'Provider Net', 'Expected Fee', 'Compared On', 'Variance', 'Internal Status', 'Provider Status', 'Internal State', 'Provider State', 'Internal Date', 'Provider Date', 'Date Drift (Days)', 'Amount Match', 'Status Match', 'Date Match', 'Match Rule'];
+                rows = data.map(match => [
+                    this.mask('reference', match.transaction_reference, match.internal) || '',
+                    CsvExporter.formatAmount(match.internal),
+                    match.internal.currency || '',
+                    Money.toDecimal(match.converted_amount, match.currency),
+                    match.fx_rate || '',
+                    CsvExporter.formatAmount(match.provider),
+                    match.provider.currency || '',
+                    Money.toDecimal(match.actual_fee, match.currency),
+                    Money.toDecimal(match.provider.net_minor, match.currency),
+                    Money.toDecimal(match.expected_fee, match.currency),
+                    match.compare_basis === 'net' ? 'Net' : 'Gross',
+                    Money.toDecimal(match.variance, match.currency),
+                    match.internal.status || '',
+                    match.provider.status || '',
+                    match.internal.status_state,
+                    match.provider.status_state,
+                    match.internal.date || '',
+                    match.provider.date || '',
+                    match.date_drift_days ?? '',
+                    match.amount_match ? 'Yes' : 'No',
+                    match.status_match ? 'Yes' : 'No',
+                    match.date_match ? 'Yes' : 'No',
+                    match.match_rule || ''
+                ]);
+                break;
+
+            case 'status_timing':
+                headers = ['Transaction Reference', 'Amount', 'Internal Status', 'Provider Status', 'Internal State', 'Provider State'];
+                rows = data.map(match => [
+                    this.mask('reference', match.transaction_reference, match.internal) || '',
+                    CsvExporter.formatAmount(match.provider),
+                    match.internal.status || '',
+                    match.provider.status || '',
+                    match.internal.status_state,
+                    match.provider.status_state
+                ]);
+                break;
+
+            case 'timing_differences':
+                headers = ['Transaction Reference', 'Side', 'Amount', 'Currency', 'Status', 'Date', 'Period Boundary', 'Days From Boundary'];
+                rows = data.map(timing => [
+                    this.mask('reference', timing.transaction.reference, timing.transaction) || '',
+                    timing.side === 'internal' ? 'Internal System' : 'Provider Statement',
+                    CsvExporter.formatAmount(timing.transaction),
+                    timing.transaction.currency || '',
+                    timing.transaction.status || '',
+                    timing.transaction.date || '',
+                    timing.boundary === 'start' ? 'Period Start' : 'Period End',
+                    timing.days_from_boundary
+                ]);
+                break;
+
+            case 'fee_deviations':
+                headers = ['Transaction Reference', 'Gross Amount', 'Currency', 'Fee Charged', 'Expected Fee', 'Fee Deviation'];
+                rows = data.map(match => [
+                    this.mask('reference', match.transaction_reference, match.internal) || '',
+                    CsvExporter.formatAmount(match.provider),
+                    match.currency || '',
+                    Money.toDecimal(match.actual_fee, match.currency),
+                    Money.toDecimal(match.expected_fee, match.currency),
+                    Money.toDecimal(match.fee_deviation, match.currency)
+                ]);
+                break;
+
+            case 'suggested':
+                headers = ['Internal Reference', 'Provider Reference', 'Internal Amount', 'Provider Amount', 'Internal Date', 'Provider Date', 'Confidence', 'Reasons'];
+                rows = data.map(suggestion => [
+                    this.mask('reference', suggestion.internal.reference, suggestion.internal) || '',
+                    this.mask('reference', suggestion.provider.reference, suggestion.provider) || '',
+                    CsvExporter.formatAmount(suggestion.internal),
+                    CsvExporter.formatAmount(suggestion.provider),
+                    suggestion.internal.date || '',
+                    suggestion.provider.date || '',
+                    `${Math.round(suggestion.confidence * 100)}%`,
+                    suggestion.reasons.join('; ')
+                ]);
+                break;
+
+            case 'groups':
+                headers = ['Group', 'Match Method', 'Side', 'Transaction Reference', 'Amount', 'Date', 'Group Internal Total', 'Group Provider Total'];
+                rows = data.flatMap(group => [
+                    ...group.internal.map(txn => ['Internal', txn]),
+                    ...group.provider.map(txn => ['Provider', txn])
+                ].map(([side, txn]) => [
+                    this.mask(group.method === 'batch_id' ? 'batch_id' : 'reference', group.key),
+                    group.method === 'batch_id' ? 'Batch ID' : 'Amount Sum',
+                    side,
+                    this.mask('reference', txn.reference, txn) || '',
+                    CsvExporter.formatAmount(txn),
+                    txn.date || '',
+                    Money.toDecimal(group.internal_total, group.currency),
+                    Money.toDecimal(group.provider_total, group.currency)
+                ]));
+                break;
+
+            case 'duplicates':
+                headers = ['Transaction Reference', 'Side', 'Line', 'Amount', 'Status', 'Date', 'Internal Occurrences', 'Provider Occurrences'];
+                rows = data.flatMap(duplicate => [
+                    ...duplicate.internal.map(txn => ['Internal', txn]),
+                    ...duplicate.provider.map(txn => ['Provider', txn])
+                ].map(([side, txn]) => [
+                    this.mask('reference', duplicate.reference, txn),
+                    side,
+                    txn.line || '',
+                    CsvExporter.formatAmount(txn),
+                    txn.status || '',
+                    txn.date || '',
+                    duplicate.internal.length,
+                    duplicate.provider.length
+                ]));
+                break;
+
+            case 'internal_only':
+                headers = ['Transaction Reference', 'Amount', 'Currency', 'Status', 'Date', 'Source'];
+                rows = data.map(txn => [
+                    this.mask('reference', txn.reference, txn) || '',
+                    CsvExporter.formatAmount(txn),
+                    txn.currency || '',
+                    txn.status || '',
+                    txn.date || '',
+                    'Internal System Only'
+                ]);
+                break;
+
+            case 'provider_only':
+                headers = ['Transaction Reference', 'Amount', 'Currency', 'Status', 'Date', 'Source'];
+                rows = data.map(txn => [
+                    this.mask('reference', txn.reference, txn) || '',
+                    CsvExporter.formatAmount(txn),
+                    txn.currency || '',
+                    txn.status || '',
+                    txn.date || '',
+                    'Provider Statement Only'
+                ]);
+                break;
+
+            case 'bank_only':
+                headers = ['Transaction Reference', 'Amount', 'Currency', 'Description', 'Date', 'Source'];
+                rows = data.map(txn => [
+                    this.mask('reference', txn.reference, txn) || '',
+                    CsvExporter.formatAmount(txn),
+                    txn.currency || '',
+                    this.mask('description', txn.description, txn) || '',
+                    txn.date || '',
+                    'Bank Statement Only'
+                ]);
+                break;
+
+            case 'settlements':
+            case 'settlement_mismatches':
+            case 'unsettled_payouts':
+                headers = ['Payout', 'Transactions', 'Currency', 'Expected Amount', 'Bank Amount', 'Variance', 'Bank Reference', 'Bank Date', 'Linked By', 'Payout Date'];
+                rows = data.map(payout => [
+                    payout.reference,
+                    payout.transactions.length,
+                    payout.currency || '',
+                    Money.toDecimal(payout.expected_minor, payout.currency),
+                    payout.bank ? CsvExporter.formatAmount(payout.bank) : '',
+                    Money.toDecimal(payout.variance, payout.currency),
+                    payout.bank ? this.mask('reference', payout.bank.reference, payout.bank) || '' : '',
+                    payout.bank ? payout.bank.date || '' : '',
+                    payout.match_method === 'reference' ? 'Payout ID' : payout.match_method === 'amount' ? 'Amount and Date' : '',
+                    DateParser.toISODate(payout.date_ms)
+                ]);
+                break;
+
+            case 'three_way':
+                headers = ['Transaction Reference', 'Amount', 'Currency', 'Date', 'In Ledger', 'At Provider', 'In Bank', 'Settlement', 'Payout', 'Bank Reference', 'Break'];
+                rows = data.map(entry => [
+                    this.mask('reference', entry.reference),
+                    Money.toDecimal(entry.amount_minor, entry.currency),
+                    entry.currency || '',
+                    entry.date || '',
+                    entry.in_ledger ? 'Yes' : 'No',
+                    entry.at_provider ? 'Yes' : 'No',
+                    entry.in_bank ? 'Yes' : 'No',
+                    entry.settlement || '',
+                    entry.payout,
+                    this.mask('reference', entry.bank_reference),
+                    entry.issue || ''
+                ]);
+                break;
+
+            case 'data_quality':
+                headers = ['File', 'Line', 'Column', 'Field', 'Value', 'Problem', 'Severity'];
+                rows = data.map(issue => [
+                    issue.source,
+                    issue.line,
+                    issue.column,
+                    issue.field,
+                    this.masker ? this.masker.issue(issue) : issue.value,
+                    issue.problem,
+                    issue.severity
+                ]);
+                break;
+
+            case 'rejected':
+            case 'excluded':
+                headers = ['Source', 'Line', 'Reason', 'Raw Row'];
+                rows = data.map(row => [
+                    row.source,
+                    row.line,
+                    row.reason,
+                    this.masker ? this.masker.text(row.raw) : row.raw
+                ]);
+                break;
+
+            default:
+                return 'Invalid export type';
+        }
+
+        // Exceptions carry their resolution so the export doubles as a worklist
+        if (ExceptionStore.CATEGORIES.includes(type)) {
+            headers = [...headers, 'Resolution', 'Reason Code', 'Notes', 'Assignee', 'Resolution Updated'];
+            rows = rows.map((row, index) => {
+                const resolution = this.resolutionFor(type, data[index]) || {};
+                return [
+                    ...row,
+                    ExceptionStore.STATES[resolution.state || 'open'],
+                    resolution.reason || '',
+                    resolution.notes || '',
+                    resolution.assignee || '',
+                    resolution.updated_at || ''
+                ];
+            });
+        }
+
+        // Escape values that contain commas or quotes
+        const escapeCSVValue = (value) => {
+            const stringValue = value.toString();
+            if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
+                return `"${stringValue.replace(/"/g, '""')}"`;
+            }
+            return stringValue;
+        };
+
+        const csvContent = [
+            headers.map(escapeCSVValue).join(','),
+            ...rows.map(row => row.map(escapeCSVValue).join(','))
+        ].join('\n');
+
+        return csvContent;
+    }
+}
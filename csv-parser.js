@@ -0,0 +1,213 @@
+// RFC 4180 CSV parser. Text can be fed in chunks (e.g. from File.stream()),
+// so quoted fields, escaped quotes and CRLF pairs may span chunk boundaries.
+class CSVParser {
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || null;
+        this.onRow = options.onRow || null;
+
+        this.headers = null;
+        this.rows = [];
+        this.rejected = [];
+
+        this.pending = '';
+        this.started = false;
+        this.field = '';
+        this.record = [];
+        this.quoted = false;
+        this.inQuotes = false;
+        this.pendingQuote = false;
+        this.afterQuote = false;
+        this.malformed = null;
+        this.skipLF = false;
+        this.line = 1;
+        this.recordLine = 1;
+    }
+
+    static parse(text, options = {}) {
+        const parser = new CSVParser(options);
+        parser.feed(text);
+        return parser.end();
+    }
+
+    // Picks the candidate that occurs most often (outside quotes) on the header line
+    static detectDelimiter(sample) {
+        const candidates = [',', ';', '\t', '|'];
+        const counts = { ',': 0, ';': 0, '\t': 0, '|': 0 };
+        let inQuotes = false;
+
+        for (const char of sample) {
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && (char === '\n' || char === '\r')) {
+                break;
+            } else if (!inQuotes && char in counts) {
+                counts[char]++;
+            }
+        }
+
+        return candidates.reduce((best, candidate) => counts[candidate] > counts[best] ? candidate : best, ',');
+    }
+
+    feed(chunk) {
+        if (!chunk) {
+            return;
+        }
+
+        if (!this.started) {
+            this.started = true;
+            if (chunk.charCodeAt(0) === 0xFEFF) {
+                chunk = chunk.slice(1);
+            }
+        }
+
+        // Hold text back until the whole header line is available for delimiter detection
+        if (!this.delimiter) {
+            this.pending += chunk;
+            if (!/[\r\n]/.test(this.pending)) {
+                return;
+            }
+            chunk = this.pending;
+            this.pending = '';
+            this.delimiter = CSVParser.detectDelimiter(chunk);
+        }
+
+        this.consume(chunk);
+    }
+
+    consume(chunk) {
+        const delimiter = this.delimiter;
+
+        for (let i = 0; i < chunk.length; i++) {
+            const char = chunk[i];
+
+            if (this.skipLF) {
+                this.skipLF = false;
+                if (char === '\n') {
+                    continue;
+                }
+            }
+
+            if (this.inQuotes) {
+                if (this.pendingQuote) {
+                    this.pendingQuote = false;
+                    if (char === '"') {
+                        this.field += '"';
+                        continue;
+                    }
+                    this.inQuotes = false;
+                    this.afterQuote = true;
+                } else if (char === '"') {
+                    this.pendingQuote = true;
+                    continue;
+                } else {
+                    if (char === '\n') {
+                        this.line++;
+                    }
+                    this.field += char;
+                    continue;
+                }
+            }
+
+            if (char === delimiter) {
+                this.endField();
+            } else if (char === '\n' || char === '\r') {
+                this.endRecord();
+                this.line++;
+                this.recordLine = this.line;
+                this.skipLF = char === '\r';
+            } else if (this.afterQuote) {
+                if (char !== ' ' && char !== '\t' && !this.malformed) {
+                    this.malformed = 'Unexpected character after closing quote';
+                }
+            } else if (char === '"' && this.field.trim() === '') {
+                this.field = '';
+                this.inQuotes = true;
+                this.quoted = true;
+            } else {
+                this.field += char;
+            }
+        }
+    }
+
+    endField() {
+        this.record.push(this.quoted ? this.field : this.field.trim());
+        this.field = '';
+        this.quoted = false;
+        this.afterQuote = false;
+    }
+
+    endRecord() {
+        this.endField();
+
+        const record = this.record;
+        const malformed = this.malformed;
+        this.record = [];
+        this.malformed = null;
+
+        // Blank lines are skipped rather than reported
+        if (record.length === 1 && record[0] === '') {
+            return;
+        }
+
+        if (!this.headers) {
+            this.headers = record.map((header, index) => header.trim() || `column_${index + 1}`);
+            return;
+        }
+
+        if (malformed) {
+            this.reject(record, malformed);
+            return;
+        }
+
+        if (record.length !== this.headers.length) {
+            this.reject(record, `Expected ${this.headers.length} columns but found ${record.length}`);
+            return;
+        }
+
+        const data = {};
+        this.headers.forEach((header, index) => {
+            data[header] = record[index];
+        });
+
+        const row = { line: this.recordLine, data };
+        this.rows.push(row);
+        if (this.onRow) {
+            this.onRow(row);
+        }
+    }
+
+    reject(record, reason) {
+        const raw = record.join(this.delimiter);
+        this.rejected.push({
+            line: this.recordLine,
+            reason,
+            raw: raw.length > 200 ? raw.slice(0, 200) + '…' : raw
+        });
+    }
+
+    end() {
+        if (this.pending) {
+            const text = this.pending;
+            this.pending = '';
+            this.delimiter = CSVParser.detectDelimiter(text);
+            this.consume(text);
+        }
+
+        if (this.inQuotes && !this.pendingQuote) {
+            this.malformed = 'Unterminated quoted field';
+        }
+        this.inQuotes = false;
+        this.pendingQuote = false;
+
+        if (this.field !== '' || this.quoted || this.record.length > 0 || this.malformed) {
+            this.endRecord();
+        }
+
+        return {
+            headers: this.headers || [],
+            rows: this.rows,
+            rejected: this.rejected,
+            delimiter: this.delimiter || ','
+        };
+    }
+}
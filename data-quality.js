@@ -0,0 +1,125 @@
+// Checks mapped rows before matching so bad input is reported by file, line and
+// column instead of turning up later as odd mismatches or silently unpaired rows.
+// Errors make a row unreliable to reconcile (no reference when every matching
+// pass keys on it, an amount that isn't a number); warnings only weaken one
+// comparison (an unreadable date or status, a reference some pass can do without).
+class DataQualityCheck {
+    static get SOURCES() {
+        return { internal: 'Internal', provider: 'Provider', bank: 'Bank' };
+    }
+
+    constructor(settings = {}) {
+        this.settings = settings;
+        this.statuses = new StatusNormalizer(settings.statusMap);
+        this.rules = new MatchRules(settings.matchProfile);
+    }
+
+    // rows are parsed rows ({ line, data }). Returns one issue per problem:
+    // { source, side, line, column, field, value, problem, severity }
+    check(side, rows, mapping) {
+        const columns = {};
+        Object.entries(mapping).forEach(([header, key]) => {
+            if (key) {
+                columns[key] = header;
+            }
+        });
+        const valueOf = (row, field) => columns[field] ? (row.data[columns[field]] ?? '').toString().trim() : '';
+        const label = field => ColumnMapper.FIELDS.find(candidate => candidate.key === field).label;
+        const defaultCurrency = (this.settings.defaultCurrency || {})[side] || '';
+        const referenceSeverity = side !== 'bank' && this.rules.requires('reference', side) ? 'error' : 'warning';
+        const dateOrder = this.settings.dateFormat && this.settings.dateFormat !== 'auto'
+            ? this.settings.dateFormat
+            : DateParser.detectOrder(rows.map(row => valueOf(row, 'date')));
+
+        const issues = [];
+        rows.forEach(row => {
+            const report = (field, severity, problem) => issues.push({
+                source: DataQualityCheck.SOURCES[side],
+                side,
+                line: row.line,
+                column: columns[field] || '',
+                field,
+                value: valueOf(row, field),
+                problem,
+                severity
+            });
+
+            // Bank lines are linked by amount and date, so they often carry no reference
+            if (side !== 'bank' && !valueOf(row, 'reference')) {
+                report('reference', referenceSeverity, 'Reference is blank');
+            }
+
+            const currency = valueOf(row, 'currency');
+            if (currency && !/^[A-Za-z]{3}$/.test(currency)) {
+                report('currency', 'warning', 'Currency is not a three-letter code');
+            }
+
+            if (!valueOf(row, 'amount') && !valueOf(row, 'net')) {
+                report(columns.amount ? 'amount' : 'net', 'error', 'Amount is blank');
+            }
+            ['amount', 'fee', 'net'].forEach(field => {
+                const text = valueOf(row, field);
+                if (text && Money.parse(text, currency || defaultCurrency).minor === null) {
+                    report(field, 'error', `${label(field)} is not a number`);
+                }
+            });
+
+            const date = valueOf(row, 'date');
+            if (date && DateParser.parse(date, dateOrder) === null) {
+                report('date', 'warning', 'Date is not in a recognised format');
+            }
+
+            const status = valueOf(row, 'status');
+            if (side !== 'bank' && status && this.statuses.normalize(status, side) === 'unknown') {
+                report('status', 'warning', 'Status is not mapped to a known state');
+            }
+        });
+
+        return issues;
+    }
+
+    // Rows the parser couldn't read are listed too; they are always left out
+    static rejectedIssues(side, rejected) {
+        return rejected.map(row => ({
+            source: DataQualityCheck.SOURCES[side],
+            side,
+            line: row.line,
+            column: '',
+            field: '',
+            value: row.raw,
+            problem: row.reason,
+            severity: 'error',
+            rejected: true
+        }));
+    }
+
+    // Lines per side that have at least one error, i.e. the rows "exclude" removes
+    static offendingLines(issues) {
+        const lines = { internal: new Set(), provider: new Set(), bank: new Set() };
+        issues.forEach(issue => {
+            if (issue.severity === 'error' && !issue.rejected) {
+                lines[issue.side].add(issue.line);
+            }
+        });
+        return lines;
+    }
+
+    // Excluded rows in the same { source, line, reason, raw } shape as rejected ones
+    static excludedRows(side, rows, lines, issues) {
+        const reasons = new Map();
+        issues.forEach(issue => {
+            if (issue.side === side && issue.severity === 'error' && lines.has(issue.line)) {
+                reasons.set(issue.line, [...(reasons.get(issue.line) || []), issue.problem]);
+            }
+        });
+
+        return rows
+            .filter(row => lines.has(row.line))
+            .map(row => ({
+                source: DataQualityCheck.SOURCES[side],
+                line: row.line,
+                reason: reasons.get(row.line).join('; '),
+                raw: Object.values(row.data).join(', ')
+            }));
+    }
+}
@@ -0,0 +1,120 @@
+// Parses the date formats found in exports and statements into UTC millisecond
+// timestamps. Dates without a time zone are read as UTC calendar dates so that
+// day differences don't depend on the browser's locale.
+class DateParser {
+    static get MONTHS() {
+        return ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    }
+
+    // order: 'DMY' or 'MDY' for ambiguous numeric dates such as 03/04/2024
+    static parse(value, order = 'DMY') {
+        const text = (value ?? '').toString().trim();
+        if (!text) {
+            return null;
+        }
+
+        // Unix timestamps in seconds or milliseconds
+        if (/^\d{10}$/.test(text)) {
+            return Number(text) * 1000;
+        }
+        if (/^\d{13}$/.test(text)) {
+            return Number(text);
+        }
+
+        let match = text.match(/^(\d{4})[-/.]?(\d{2})[-/.]?(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+        if (match) {
+            return DateParser.build(match[1], match[2], match[3], match.slice(4, 8), match[8]);
+        }
+
+        match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})(?:[T ,]+(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?\s*(am|pm)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+        if (match) {
+            const [first, second] = [Number(match[1]), Number(match[2])];
+            // An unambiguous first or second part overrides the configured order
+            const dayFirst = first > 12 ? true : second > 12 ? false : order !== 'MDY';
+            const [day, month] = dayFirst ? [first, second] : [second, first];
+            const time = DateParser.to24Hour(match.slice(4, 8), match[8]);
+            return DateParser.build(DateParser.fullYear(match[3]), month, day, time, match[9]);
+        }
+
+        // "15 Jan 2024" and "Jan 15, 2024", optionally followed by a time
+        match = text.match(/^(\d{1,2})[\s-]+([A-Za-z]{3,})[\s,-]+(\d{2}|\d{4})(?:[\s,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/)
+            || text.match(/^([A-Za-z]{3,})[\s-]+(\d{1,2}),?[\s-]+(\d{4})(?:[\s,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (match) {
+            const textFirst = isNaN(Number(match[1]));
+            const monthName = textFirst ? match[1] : match[2];
+            const day = textFirst ? match[2] : match[1];
+            const month = DateParser.MONTHS.indexOf(monthName.slice(0, 3).toLowerCase()) + 1;
+            if (month === 0) {
+                return null;
+            }
+            return DateParser.build(DateParser.fullYear(match[3]), month, day, match.slice(4, 7), null);
+        }
+
+        return null;
+    }
+
+    static fullYear(year) {
+        return year.length === 2 ? 2000 + Number(year) : Number(year);
+    }
+
+    static to24Hour(parts, meridiem) {
+        if (!meridiem || parts[0] === undefined) {
+            return parts;
+        }
+        let hour = Number(parts[0]) % 12;
+        if (meridiem.toLowerCase() === 'pm') {
+            hour += 12;
+        }
+        return [String(hour), ...parts.slice(1)];
+    }
+
+    static build(year, month, day, [hour, minute, second, fraction] = [], zone) {
+        year = Number(year);
+        month = Number(month);
+        day = Number(day);
+
+        const utc = Date.UTC(year, month - 1, day, Number(hour || 0), Number(minute || 0), Number(second || 0),
+            Number(((fraction || '') + '000').slice(0, 3)));
+        const check = new Date(utc);
+        if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+            return null;
+        }
+
+        if (zone && zone.toUpperCase() !== 'Z') {
+            const sign = zone[0] === '-' ? -1 : 1;
+            const digits = zone.slice(1).replace(':', '');
+            const offset = (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2))) * sign;
+            return utc - offset * 60000;
+        }
+        return utc;
+    }
+
+    // Picks DMY or MDY for a column by looking for values that only fit one of them
+    static detectOrder(values) {
+        for (const value of values) {
+            const match = (value || '').toString().trim().match(/^(\d{1,2})[-/.](\d{1,2})[-/.]\d{2,4}/);
+            if (match) {
+                if (Number(match[1]) > 12) {
+                    return 'DMY';
+                }
+                if (Number(match[2]) > 12) {
+                    return 'MDY';
+                }
+            }
+        }
+        return 'DMY';
+    }
+
+    static toISODate(timestamp) {
+        return timestamp === null || timestamp === undefined ? '' : new Date(timestamp).toISOString().slice(0, 10);
+    }
+
+    // Whole calendar days between two timestamps, or null when either is missing
+    static daysBetween(first, second) {
+        if (first === null || first === undefined || second === null || second === undefined) {
+            return null;
+        }
+        const day = timestamp => Math.floor(timestamp / 86400000);
+        return Math.abs(day(first) - day(second));
+    }
+}
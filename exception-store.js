@@ -0,0 +1,77 @@
+// Resolutions recorded against exceptions (mismatches, orphaned rows and, in three-way
+// runs, payouts that didn't settle cleanly and unexplained bank lines), kept in
+// IndexedDB so the workflow survives a reload. Records are keyed by run ID and
+// exception key, so re-running the same pair of files picks up where the team left off.
+class ExceptionStore {
+    static get CATEGORIES() {
+        return ['mismatched', 'internal_only', 'provider_only', 'settlement_mismatches', 'unsettled_payouts', 'bank_only'];
+    }
+
+    static get STATES() {
+        return {
+            open: 'Open',
+            investigating: 'Investigating',
+            resolved: 'Resolved',
+            written_off: 'Written Off'
+        };
+    }
+
+    static get REASONS() {
+        return {
+            timing: 'Timing difference',
+            fee: 'Provider fee',
+            fx: 'FX difference',
+            duplicate: 'Duplicate entry',
+            missing_record: 'Missing record',
+            data_entry: 'Data entry error',
+            refund: 'Refund or reversal',
+            chargeback: 'Chargeback',
+            other: 'Other'
+        };
+    }
+
+    constructor(dbName = 'reconciliation') {
+        this.dbName = dbName;
+    }
+
+    // Identifies an exception within a run. Line numbers restart in every file, so
+    // rows without a reference are told apart by a hash of their canonical fields
+    // (and the run they were carried from) instead.
+    static key(category, row) {
+        const reference = category === 'mismatched' ? row.transaction_reference : row.reference;
+        return `${category}:${reference || `row ${ExceptionStore.fingerprint(row)}`}`;
+    }
+
+    static fingerprint(row) {
+        const identity = JSON.stringify([
+            row.amount_minor, row.currency, row.date_ms, row.status, row.description, row.counterparty, row.batch_id,
+            row.carried_from ? row.carried_from.run_id : null
+        ]);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < identity.length; i++) {
+            hash ^= identity.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    static isClosed(resolution) {
+        return Boolean(resolution) && (resolution.state === 'resolved' || resolution.state === 'written_off');
+    }
+
+    transaction(mode, work) {
+        return ReconciliationDB.transaction(this.dbName, 'resolutions', mode, work);
+    }
+
+    // Map of exception key to resolution for one run
+    async forRun(runId) {
+        const records = await this.transaction('readonly', store => store.index('run_id').getAll(runId));
+        return new Map(records.map(record => [record.key, record]));
+    }
+
+    async save(record) {
+        const saved = { ...record, updated_at: new Date().toISOString() };
+        await this.transaction('readwrite', store => store.put(saved));
+        return saved;
+    }
+}
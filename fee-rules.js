@@ -0,0 +1,23 @@
+// Expected provider fee for a transaction: a percentage of the gross amount plus
+// a fixed amount in the transaction's currency (e.g. 2.9% + 0.30).
+class FeeRule {
+    constructor(config = {}) {
+        this.percentage = Number(config.percentage) || 0;
+        this.fixed = (config.fixed ?? '').toString().trim();
+    }
+
+    get configured() {
+        return this.percentage !== 0 || this.fixed !== '';
+    }
+
+    // Expected fee in minor units, or null when no rule has been set up
+    expected(grossMinor, currency) {
+        if (!this.configured || grossMinor === null) {
+            return null;
+        }
+
+        const percentagePart = Math.round(Math.abs(grossMinor) * this.percentage / 100);
+        const fixedPart = this.fixed ? Money.parse(this.fixed, currency).minor || 0 : 0;
+        return percentagePart + Math.abs(fixedPart);
+    }
+}
@@ -0,0 +1,149 @@
+// Second matching pass for rows left over after exact reference matching.
+// Pairs rows on amount, date proximity and description/counterparty similarity
+// and returns them as suggestions for the user to accept or reject.
+class FuzzyMatcher {
+    constructor(options = {}) {
+        this.dateWindowDays = options.dateWindowDays ?? 3;
+        this.tolerance = options.tolerance || new AmountTolerance();
+        this.minConfidence = options.minConfidence ?? 0.6;
+    }
+
+    match(internalRows, providerRows) {
+        const candidates = [];
+
+        // Sort provider rows by amount so each internal row only scores plausible amounts
+        const sorted = providerRows
+            .map((row, index) => index)
+            .filter(index => providerRows[index].amount_minor !== null)
+            .sort((a, b) => providerRows[a].amount_minor - providerRows[b].amount_minor);
+
+        const lowerBound = minor => {
+            let low = 0;
+            let high = sorted.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (providerRows[sorted[mid]].amount_minor < minor) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+            return low;
+        };
+
+        internalRows.forEach((internalRow, internalIndex) => {
+            if (internalRow.amount_minor === null) {
+                return;
+            }
+
+            const allowance = this.tolerance.allowance(internalRow.amount_minor, internalRow.currency);
+            const upper = internalRow.amount_minor + allowance;
+
+            for (let i = lowerBound(internalRow.amount_minor - allowance); i < sorted.length; i++) {
+                const providerIndex = sorted[i];
+                if (providerRows[providerIndex].amount_minor > upper) {
+                    break;
+                }
+                const scored = this.score(internalRow, providerRows[providerIndex]);
+                if (scored && scored.confidence >= this.minConfidence) {
+                    candidates.push({ internalIndex, providerIndex, ...scored });
+                }
+            }
+        });
+
+        // Greedily accept the most confident pairs, using each row at most once
+        candidates.sort((a, b) => b.confidence - a.confidence);
+        const usedInternal = new Set();
+        const usedProvider = new Set();
+        const suggestions = [];
+
+        candidates.forEach(candidate => {
+            if (usedInternal.has(candidate.internalIndex) || usedProvider.has(candidate.providerIndex)) {
+                return;
+            }
+            usedInternal.add(candidate.internalIndex);
+            usedProvider.add(candidate.providerIndex);
+            suggestions.push({
+                internal: internalRows[candidate.internalIndex],
+                provider: providerRows[candidate.providerIndex],
+                confidence: candidate.confidence,
+                reasons: candidate.reasons
+            });
+        });
+
+        return {
+            suggestions,
+            internal_only: internalRows.filter((row, index) => !usedInternal.has(index)),
+            provider_only: providerRows.filter((row, index) => !usedProvider.has(index))
+        };
+    }
+
+    // Returns { confidence, reasons } or null when the pair is outside the amount or date window
+    score(internalRow, providerRow) {
+        const reasons = [];
+
+        // Amounts in different currencies aren't comparable without a rate
+        if (internalRow.currency && providerRow.currency && internalRow.currency !== providerRow.currency) {
+            return null;
+        }
+        if (!this.tolerance.allows(internalRow.amount_minor, providerRow.amount_minor, internalRow.currency)) {
+            return null;
+        }
+        reasons.push(internalRow.amount_minor === providerRow.amount_minor ? 'Same amount' : 'Amount within tolerance');
+
+        let dateScore = 0.5;
+        const days = DateParser.daysBetween(internalRow.date_ms, providerRow.date_ms);
+        if (days !== null) {
+            if (days > this.dateWindowDays) {
+                return null;
+            }
+            dateScore = 1 - days / (this.dateWindowDays + 1);
+            reasons.push(days === 0 ? 'Same date' : `Dates ${days} day${days === 1 ? '' : 's'} apart`);
+        }
+
+        const textScore = Math.max(
+            FuzzyMatcher.similarity(internalRow.description, providerRow.description),
+            FuzzyMatcher.similarity(internalRow.counterparty, providerRow.counterparty),
+            FuzzyMatcher.similarity(internalRow.reference, providerRow.reference)
+        );
+        if (textScore > 0) {
+            reasons.push(`Text ${Math.round(textScore * 100)}% similar`);
+        }
+
+        const confidence = 0.4 + 0.3 * dateScore + 0.3 * textScore;
+        return { confidence: Math.round(confidence * 100) / 100, reasons };
+    }
+
+    // Dice coefficient over character bigrams, ignoring case and punctuation
+    static similarity(a, b) {
+        const clean = value => (value || '').toString().toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+        const first = clean(a);
+        const second = clean(b);
+
+        if (!first || !second) {
+            return 0;
+        }
+        if (first === second) {
+            return 1;
+        }
+
+        const bigrams = text => {
+            const counts = new Map();
+            for (let i = 0; i < text.length - 1; i++) {
+                const pair = text.slice(i, i + 2);
+                counts.set(pair, (counts.get(pair) || 0) + 1);
+            }
+            return counts;
+        };
+
+        const firstBigrams = bigrams(first);
+        const secondBigrams = bigrams(second);
+        let overlap = 0;
+        for (const [pair, count] of firstBigrams) {
+            overlap += Math.min(count, secondBigrams.get(pair) || 0);
+        }
+
+        const total = Math.max(first.length - 1, 0) + Math.max(second.length - 1, 0);
+        return total === 0 ? 0 : (2 * overlap) / total;
+    }
+}
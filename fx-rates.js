@@ -0,0 +1,143 @@
+// Dated exchange rates used to compare amounts recorded in different currencies.
+// A rate row reads "1 <from> = <rate> <to>" from its date onwards; rows without
+// a date apply whenever no dated rate is available.
+class FxRateTable {
+    // Throws on a rate that isn't a positive decimal, so a bad config stops the run
+    // before any amount is converted
+    constructor(rates = []) {
+        this.rates = rates
+            .map((rate, index) => {
+                const value = FxRateTable.decimal(rate.rate ?? '');
+                if (!FxRateTable.isCurrency(rate.from) || !FxRateTable.isCurrency(rate.to) || !FxRateTable.isRate(value)) {
+                    throw new Error(`FX rate ${index + 1} needs from and to currency codes and a positive decimal rate: ${JSON.stringify(rate)}`);
+                }
+                return {
+                    date: rate.date ? DateParser.toISODate(DateParser.parse(rate.date)) || rate.date : '',
+                    from: rate.from.toUpperCase(),
+                    to: rate.to.toUpperCase(),
+                    rate: value
+                };
+            })
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    static isCurrency(code) {
+        return /^[A-Za-z]{3}$/.test(code || '');
+    }
+
+    static isRate(value) {
+        return /^[0-9]*\.?[0-9]+$/.test(value) && Number(value) > 0;
+    }
+
+    // Rates given as numbers print very small or large values in exponent form
+    // ("1e-7"), which the integer arithmetic in convert() can't read; spell them out
+    static decimal(value) {
+        const text = value.toString().trim();
+        const match = /^([0-9]*)\.?([0-9]*)e([+-]?[0-9]+)$/i.exec(text);
+        if (!match) {
+            return text;
+        }
+        const digits = match[1] + match[2];
+        const point = match[1].length + Number(match[3]);
+        if (point <= 0) {
+            return `0.${'0'.repeat(-point)}${digits}`;
+        }
+        if (point >= digits.length) {
+            return digits + '0'.repeat(point - digits.length);
+        }
+        return `${digits.slice(0, point)}.${digits.slice(point)}`;
+    }
+
+    // Accepts CSV text with date, from, to and rate columns (header optional)
+    static parse(text) {
+        const errors = [];
+        const rates = [];
+        const lines = (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+        lines.forEach((line, index) => {
+            const cells = line.split(/[,;\t|]/).map(cell => cell.trim());
+            if (index === 0 && /rate/i.test(line) && isNaN(Number(cells[cells.length - 1]))) {
+                return;
+            }
+
+            const [date, from, to, rate] = cells.length === 3 ? ['', ...cells] : cells;
+            if (!FxRateTable.isCurrency(from) || !FxRateTable.isCurrency(to) || !FxRateTable.isRate(rate || '')) {
+                errors.push(`FX rate line ${index + 1} is not "date,from,to,rate": ${line}`);
+                return;
+            }
+            rates.push({ date, from, to, rate });
+        });
+
+        return { table: new FxRateTable(rates), errors };
+    }
+
+    get size() {
+        return this.rates.length;
+    }
+
+    // Latest rate on or before the ISO date (YYYY-MM-DD) for the pair, or its inverse
+    find(from, to, date) {
+        const day = (date || '').slice(0, 10);
+        const pick = (source, target) => {
+            let found = null;
+            for (const rate of this.rates) {
+                if (rate.from === source && rate.to === target && (!rate.date || !day || rate.date <= day)) {
+                    found = rate;
+                }
+            }
+            return found;
+        };
+
+        const direct = pick(from, to);
+        if (direct) {
+            return { rate: direct.rate, inverse: false, date: direct.date };
+        }
+        const inverse = pick(to, from);
+        if (inverse) {
+            return { rate: inverse.rate, inverse: true, date: inverse.date };
+        }
+        return null;
+    }
+
+    // Converts minor units between currencies with integer arithmetic, rounding half up.
+    // Returns { minor, rate } or null when no rate is known for the pair.
+    convert(minor, from, to, date) {
+        from = (from || '').toUpperCase();
+        to = (to || '').toUpperCase();
+
+        if (minor === null || !from || !to) {
+            return null;
+        }
+        if (from === to) {
+            return { minor, rate: '1' };
+        }
+
+        const found = this.find(from, to, date);
+        if (!found) {
+            return null;
+        }
+
+        const [whole, fraction = ''] = found.rate.split('.');
+        const rateScale = 10n ** BigInt(fraction.length);
+        const rateUnits = BigInt(whole + fraction);
+        const digitScale = 10n ** BigInt(Math.abs(Money.minorDigits(to) - Money.minorDigits(from)));
+        const widen = Money.minorDigits(to) >= Money.minorDigits(from);
+
+        let numerator = BigInt(minor) * (found.inverse ? rateScale : rateUnits);
+        let denominator = found.inverse ? rateUnits : rateScale;
+        if (widen) {
+            numerator *= digitScale;
+        } else {
+            denominator *= digitScale;
+        }
+
+        const negative = numerator < 0n;
+        const absolute = negative ? -numerator : numerator;
+        const rounded = (absolute * 2n + denominator) / (denominator * 2n);
+
+        return {
+            minor: Number(negative ? -rounded : rounded),
+            rate: found.inverse ? `1/${found.rate}` : found.rate
+        };
+    }
+}
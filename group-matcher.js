@@ -0,0 +1,203 @@
+// Links several rows on one side to one or more rows on the other when their
+// amounts add up: batched payouts (N internal : 1 provider) and split captures
+// (1 internal : N provider). Amounts are summed in integer minor units.
+class GroupMatcher {
+    constructor(options = {}) {
+        this.tolerance = options.tolerance || new AmountTolerance();
+        this.dateWindowDays = options.dateWindowDays ?? 3;
+        this.maxGroupSize = options.maxGroupSize ?? 6;
+        this.maxCandidates = options.maxCandidates ?? 25;
+        this.searchBudget = options.searchBudget ?? 20000;
+    }
+
+    static minor(row) {
+        return row.amount_minor || 0;
+    }
+
+    static total(rows) {
+        return rows.reduce((sum, row) => sum + GroupMatcher.minor(row), 0);
+    }
+
+    // Pairs rows sharing a batch/payout ID. A batch ID may also point at the
+    // other side's reference, e.g. a single payout line referenced by our rows.
+    matchByBatch(internalRows, providerRows) {
+        const groups = [];
+        const usedInternal = new Set();
+        const usedProvider = new Set();
+
+        const keys = new Set([
+            ...internalRows.filter(row => row.batch_id).map(row => row.batch_id),
+            ...providerRows.filter(row => row.batch_id).map(row => row.batch_id)
+        ]);
+
+        const membersOf = (rows, key) => {
+            const byBatch = rows.filter(row => row.batch_id === key);
+            return byBatch.length > 0 ? byBatch : rows.filter(row => !row.batch_id && row.reference === key);
+        };
+
+        keys.forEach(key => {
+            const internal = membersOf(internalRows, key).filter(row => !usedInternal.has(row));
+            const provider = membersOf(providerRows, key).filter(row => !usedProvider.has(row));
+
+            if (internal.length === 0 || provider.length === 0) {
+                return;
+            }
+            if (new Set([...internal, ...provider].map(row => row.currency).filter(Boolean)).size > 1) {
+                return;
+            }
+            if (!this.tolerance.allows(GroupMatcher.total(internal), GroupMatcher.total(provider), internal[0].currency)) {
+                return;
+            }
+
+            internal.forEach(row => usedInternal.add(row));
+            provider.forEach(row => usedProvider.add(row));
+            groups.push(this.createGroup(key, 'batch_id', internal, provider));
+        });
+
+        return {
+            groups,
+            internal_only: internalRows.filter(row => !usedInternal.has(row)),
+            provider_only: providerRows.filter(row => !usedProvider.has(row))
+        };
+    }
+
+    // Searches for several rows on one side whose amounts add up to a single row
+    // on the other side, within the date window around that row.
+    matchBySubsetSum(internalRows, providerRows) {
+        const groups = [];
+        const usedInternal = new Set();
+        const usedProvider = new Set();
+
+        // Batched settlements: one provider payout covering several internal rows
+        const internalByDate = GroupMatcher.byDate(internalRows);
+        providerRows.forEach(target => {
+            const subset = this.findSubset(target, this.withinWindow(target, internalByDate, usedInternal));
+            if (subset) {
+                subset.forEach(row => usedInternal.add(row));
+                usedProvider.add(target);
+                groups.push(this.createGroup(target.reference, 'subset_sum', subset, [target]));
+            }
+        });
+
+        // Split payments: one internal charge captured as several provider rows
+        const providerByDate = GroupMatcher.byDate(providerRows);
+        internalRows.filter(row => !usedInternal.has(row)).forEach(target => {
+            const subset = this.findSubset(target, this.withinWindow(target, providerByDate, usedProvider));
+            if (subset) {
+                subset.forEach(row => usedProvider.add(row));
+                usedInternal.add(target);
+                groups.push(this.createGroup(target.reference, 'subset_sum', [target], subset));
+            }
+        });
+
+        return {
+            groups,
+            internal_only: internalRows.filter(row => !usedInternal.has(row)),
+            provider_only: providerRows.filter(row => !usedProvider.has(row))
+        };
+    }
+
+    // Sorted once per side so each target only scans the rows in its date window.
+    // position keeps the input order, which decides ties between equally close rows.
+    static byDate(rows) {
+        const dated = row => row.date_ms !== null && row.date_ms !== undefined;
+        return {
+            dated: rows.filter(dated).sort((a, b) => a.date_ms - b.date_ms),
+            undated: rows.filter(row => !dated(row)),
+            position: new Map(rows.map((row, index) => [row, index]))
+        };
+    }
+
+    // Unused rows within dateWindowDays of the target, in the same whole days
+    // DateParser.daysBetween counts. Undated rows fit any window.
+    withinWindow(target, index, used) {
+        const unused = row => !used.has(row);
+        if (target.date_ms === null || target.date_ms === undefined) {
+            return [...index.dated, ...index.undated].filter(unused).sort((a, b) => index.position.get(a) - index.position.get(b));
+        }
+
+        const day = 86400000;
+        const targetDay = Math.floor(target.date_ms / day);
+        const from = (targetDay - this.dateWindowDays) * day;
+        const to = (targetDay + this.dateWindowDays + 1) * day;
+
+        const sorted = index.dated;
+        let low = 0;
+        let high = sorted.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (sorted[mid].date_ms < from) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        const rows = [];
+        for (let i = low; i < sorted.length && sorted[i].date_ms < to; i++) {
+            if (unused(sorted[i])) {
+                rows.push(sorted[i]);
+            }
+        }
+        return [...rows, ...index.undated.filter(unused)].sort((a, b) => index.position.get(a) - index.position.get(b));
+    }
+
+    findSubset(target, pool) {
+        const targetMinor = GroupMatcher.minor(target);
+        const sign = Math.sign(targetMinor);
+        const tolerance = this.tolerance.allowance(targetMinor, target.currency);
+
+        if (sign === 0) {
+            return null;
+        }
+
+        // Same-signed rows no larger than the target, closest in date first
+        const candidates = pool
+            .map(row => ({ row, minor: GroupMatcher.minor(row) * sign, days: DateParser.daysBetween(target.date_ms, row.date_ms) }))
+            .filter(candidate => !candidate.row.currency || !target.currency || candidate.row.currency === target.currency)
+            .filter(candidate => candidate.minor > 0 && candidate.minor <= targetMinor * sign + tolerance)
+            .filter(candidate => candidate.days === null || candidate.days <= this.dateWindowDays)
+            .sort((a, b) => (a.days ?? this.dateWindowDays) - (b.days ?? this.dateWindowDays))
+            .slice(0, this.maxCandidates)
+            .sort((a, b) => b.minor - a.minor);
+
+        const goal = targetMinor * sign;
+        const chosen = [];
+        let budget = this.searchBudget;
+
+        const search = (start, remaining) => {
+            if (Math.abs(remaining) <= tolerance && chosen.length >= 2) {
+                return true;
+            }
+            if (remaining < -tolerance || chosen.length >= this.maxGroupSize || --budget <= 0) {
+                return false;
+            }
+            for (let i = start; i < candidates.length; i++) {
+                chosen.push(candidates[i]);
+                if (search(i + 1, remaining - candidates[i].minor)) {
+                    return true;
+                }
+                chosen.pop();
+            }
+            return false;
+        };
+
+        return search(0, goal) ? chosen.map(candidate => candidate.row) : null;
+    }
+
+    createGroup(key, method, internal, provider) {
+        const internalTotal = GroupMatcher.total(internal);
+        const providerTotal = GroupMatcher.total(provider);
+
+        return {
+            key,
+            method,
+            internal,
+            provider,
+            currency: internal[0].currency || provider[0].currency,
+            internal_total: internalTotal,
+            provider_total: providerTotal,
+            difference: providerTotal - internalTotal
+        };
+    }
+}
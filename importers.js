@@ -0,0 +1,735 @@
+// Readers for the non-CSV inputs we accept. Each importer turns its format into the
+// same { headers, rows: [{ line, data }], rejected } shape CSVParser produces, so
+// column mapping and matching work the same whatever pair of files is loaded.
+// An importer has a label, the file extensions it owns, a sniff(text, bytes) check
+// on the start of the file, and an async parse(file).
+class Importers {
+    static get ALL() {
+        return [XlsxImporter, OfxImporter, QifImporter, Camt053Importer, Mt940Importer, JsonImporter];
+    }
+
+    // Extensions that are always read as delimited text
+    static get CSV_EXTENSIONS() {
+        return ['csv', 'tsv'];
+    }
+
+    // Returns the importer for a file, or null when it should go through CSVParser.
+    // sample holds the first few KB of the file. Content wins over the extension,
+    // since e.g. .xml and .txt say little about what's inside.
+    static detect(name, sample) {
+        const extension = (name || '').toLowerCase().split('.').pop();
+        if (Importers.CSV_EXTENSIONS.includes(extension)) {
+            return null;
+        }
+
+        const text = new TextDecoder('utf-8').decode(sample);
+        return Importers.ALL.find(importer => importer.sniff(text, sample))
+            || Importers.ALL.find(importer => importer.extensions.includes(extension))
+            || null;
+    }
+
+    // Builds the parser result from { line, data } records, using the union of
+    // their keys (in first-seen order) as the header row
+    static result(format, records, rejected = []) {
+        const headers = [];
+        const seen = new Set();
+        records.forEach(record => {
+            Object.keys(record.data).forEach(header => {
+                if (!seen.has(header)) {
+                    seen.add(header);
+                    headers.push(header);
+                }
+            });
+        });
+
+        const rows = records.map(record => {
+            const data = {};
+            headers.forEach(header => {
+                const value = record.data[header];
+                data[header] = value === undefined || value === null ? '' : value.toString();
+            });
+            return { line: record.line, data };
+        });
+
+        return { headers, rows, rejected, delimiter: null, format };
+    }
+
+    static lineAt(text, index) {
+        let line = 1;
+        for (let i = text.indexOf('\n'); i !== -1 && i < index; i = text.indexOf('\n', i + 1)) {
+            line++;
+        }
+        return line;
+    }
+
+    static truncate(text) {
+        return text.length > 200 ? text.slice(0, 200) + '…' : text;
+    }
+
+    static fullYear(year) {
+        if (year.length === 4) {
+            return year;
+        }
+        return (Number(year) < 70 ? '20' : '19') + year.padStart(2, '0');
+    }
+
+    static isoDate(year, month, day) {
+        return `${Importers.fullYear(year)}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
+    }
+}
+
+// An array of objects, an object wrapping such an array (e.g. { "data": [...] }),
+// or newline-delimited JSON. Nested objects are flattened into "parent.child" columns.
+class JsonImporter {
+    static get label() {
+        return 'JSON';
+    }
+
+    static get extensions() {
+        return ['json', 'ndjson', 'jsonl'];
+    }
+
+    static sniff(text) {
+        return /^\s*[[{]/.test(text);
+    }
+
+    static async parse(file) {
+        const text = await file.text();
+        const records = [];
+        const rejected = [];
+
+        let items;
+        try {
+            items = JsonImporter.findRecords(JSON.parse(text)).map((value, index) => ({ line: index + 1, value }));
+        } catch (error) {
+            // Not a single document; try one JSON value per line
+            items = [];
+            text.split(/\r?\n/).forEach((source, index) => {
+                if (!source.trim()) {
+                    return;
+                }
+                try {
+                    items.push({ line: index + 1, value: JSON.parse(source) });
+                } catch (lineError) {
+                    rejected.push({ line: index + 1, reason: `Invalid JSON: ${lineError.message}`, raw: Importers.truncate(source) });
+                }
+            });
+            if (items.length === 0) {
+                throw new Error(`Invalid JSON: ${error.message}`);
+            }
+        }
+
+        items.forEach(({ line, value }) => {
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                rejected.push({ line, reason: 'Expected an object', raw: Importers.truncate(JSON.stringify(value) ?? '') });
+                return;
+            }
+            records.push({ line, data: JsonImporter.flatten(value) });
+        });
+
+        return Importers.result(JsonImporter.label, records, rejected);
+    }
+
+    static findRecords(document) {
+        if (Array.isArray(document)) {
+            return document;
+        }
+        if (document === null || typeof document !== 'object') {
+            return [document];
+        }
+
+        const arrays = Object.entries(document).filter(([, value]) => Array.isArray(value) && value.some(item => item && typeof item === 'object'));
+        const preferred = ['data', 'transactions', 'items', 'results', 'records', 'rows'];
+        const named = arrays.find(([key]) => preferred.includes(key.toLowerCase()));
+        if (named || arrays.length > 0) {
+            return (named || arrays[0])[1];
+        }
+        return [document];
+    }
+
+    static flatten(object, prefix = '', data = {}) {
+        Object.entries(object).forEach(([key, value]) => {
+            const column = prefix + key;
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                JsonImporter.flatten(value, `${column}.`, data);
+            } else if (Array.isArray(value)) {
+                data[column] = JSON.stringify(value);
+            } else {
+                data[column] = value;
+            }
+        });
+        return data;
+    }
+}
+
+// The first worksheet of an Excel workbook; its first non-empty row is the header.
+// Cells formatted as dates are converted from Excel serial numbers to ISO dates.
+class XlsxImporter {
+    static get label() {
+        return 'Excel (XLSX)';
+    }
+
+    static get extensions() {
+        return ['xlsx', 'xlsm'];
+    }
+
+    static sniff(text, bytes) {
+        return ZipReader.isZip(bytes);
+    }
+
+    static async parse(file) {
+        const zip = new ZipReader(new Uint8Array(await file.arrayBuffer()));
+        const workbook = await zip.text('xl/workbook.xml');
+        if (workbook === null) {
+            throw new Error('Not an Excel workbook (xl/workbook.xml is missing)');
+        }
+
+        const workbookRoot = XmlReader.parse(workbook);
+        const sheet = XmlReader.descendants(workbookRoot, 'sheet')[0];
+        if (!sheet) {
+            throw new Error('The workbook has no worksheets');
+        }
+        const date1904 = ['1', 'true'].includes(XmlReader.descendants(workbookRoot, 'workbookPr')[0]?.attributes.date1904);
+
+        const sheetPath = await XlsxImporter.sheetPath(zip, sheet.attributes.id);
+        const sheetXml = await zip.text(sheetPath);
+        if (sheetXml === null) {
+            throw new Error(`The workbook is missing ${sheetPath}`);
+        }
+
+        const sharedStrings = await XlsxImporter.sharedStrings(zip);
+        const dateStyles = await XlsxImporter.dateStyles(zip);
+
+        let headers = null;
+        const records = [];
+        const rejected = [];
+
+        XmlReader.descendants(XmlReader.parse(sheetXml), 'row').forEach((row, index) => {
+            const line = Number(row.attributes.r) || index + 1;
+            const values = [];
+            XmlReader.children(row, 'c').forEach((cell, position) => {
+                const column = cell.attributes.r ? XlsxImporter.columnIndex(cell.attributes.r) : position;
+                values[column] = XlsxImporter.cellValue(cell, sharedStrings, dateStyles, date1904);
+            });
+            if (!values.some(value => value !== undefined && value !== '')) {
+                return;
+            }
+
+            if (!headers) {
+                headers = Array.from(values, (value, column) => value ? value.trim() : `Column ${column + 1}`);
+                return;
+            }
+            if (values.length > headers.length && values.slice(headers.length).some(value => value !== undefined && value !== '')) {
+                rejected.push({
+                    line,
+                    reason: `Expected ${headers.length} columns but found ${values.length}`,
+                    raw: Importers.truncate(Array.from(values, value => value ?? '').join(','))
+                });
+                return;
+            }
+
+            const data = {};
+            headers.forEach((header, column) => {
+                data[header] = values[column] ?? '';
+            });
+            records.push({ line, data });
+        });
+
+        return Importers.result(XlsxImporter.label, records, rejected);
+    }
+
+    static async sheetPath(zip, relationshipId) {
+        const rels = await zip.text('xl/_rels/workbook.xml.rels');
+        const relationship = rels === null
+            ? null
+            : XmlReader.descendants(XmlReader.parse(rels), 'Relationship').find(rel => rel.attributes.Id === relationshipId);
+        if (!relationship) {
+            return 'xl/worksheets/sheet1.xml';
+        }
+        const target = relationship.attributes.Target;
+        return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+
+    static async sharedStrings(zip) {
+        const xml = await zip.text('xl/sharedStrings.xml');
+        if (xml === null) {
+            return [];
+        }
+        // Rich text is split into runs, each with its own <t>
+        return XmlReader.descendants(XmlReader.parse(xml), 'si')
+            .map(item => XmlReader.descendants(item, 't').map(t => t.text).join(''));
+    }
+
+    // Indexes (into cellXfs) of the cell styles that display a date
+    static async dateStyles(zip) {
+        const xml = await zip.text('xl/styles.xml');
+        const styles = new Set();
+        if (xml === null) {
+            return styles;
+        }
+
+        const root = XmlReader.parse(xml);
+        const customFormats = new Map(XmlReader.descendants(root, 'numFmt')
+            .map(format => [Number(format.attributes.numFmtId), format.attributes.formatCode || '']));
+        const isDateFormat = id => {
+            if ((id >= 14 && id <= 22) || (id >= 27 && id <= 36) || (id >= 45 && id <= 47) || (id >= 50 && id <= 58)) {
+                return true;
+            }
+            // Ignore quoted literals and colour/condition sections before looking for date parts
+            const code = (customFormats.get(id) || '').replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+            return /[dmyhs]/i.test(code) && !/^general$/i.test(code);
+        };
+
+        XmlReader.children(XmlReader.find(root, 'styleSheet/cellXfs'), 'xf').forEach((xf, index) => {
+            if (isDateFormat(Number(xf.attributes.numFmtId))) {
+                styles.add(index);
+            }
+        });
+        return styles;
+    }
+
+    static columnIndex(reference) {
+        const letters = reference.match(/^[A-Z]+/i)[0].toUpperCase();
+        let index = 0;
+        for (const letter of letters) {
+            index = index * 26 + letter.charCodeAt(0) - 64;
+        }
+        return index - 1;
+    }
+
+    static cellValue(cell, sharedStrings, dateStyles, date1904) {
+        const type = cell.attributes.t || 'n';
+        const value = XmlReader.text(cell, 'v');
+
+        if (type === 's') {
+            return sharedStrings[Number(value)] ?? '';
+        }
+        if (type === 'inlineStr') {
+            return XmlReader.descendants(cell, 't').map(t => t.text).join('');
+        }
+        if (type === 'b') {
+            return value === '1' ? 'TRUE' : 'FALSE';
+        }
+        if (type !== 'n' || value === '') {
+            return value;
+        }
+
+        const number = Number(value);
+        if (dateStyles.has(Number(cell.attributes.s)) && Number.isFinite(number)) {
+            return XlsxImporter.serialToIso(number, date1904);
+        }
+        // Excel keeps 15 significant digits; drop binary noise such as 12.300000000000001
+        return Number.isFinite(number) ? parseFloat(number.toPrecision(15)).toString() : value;
+    }
+
+    static serialToIso(serial, date1904) {
+        const days = serial + (date1904 ? 1462 : 0);
+        const date = new Date(Math.round((days - 25569) * 86400000));
+        const iso = date.toISOString();
+        return Number.isInteger(serial) ? iso.slice(0, 10) : iso.slice(0, 19);
+    }
+}
+
+// Open Financial Exchange statements (OFX 1.x SGML or 2.x XML, and Quicken's QFX).
+// Every <STMTTRN> becomes one row.
+class OfxImporter {
+    static get label() {
+        return 'OFX';
+    }
+
+    static get extensions() {
+        return ['ofx', 'qfx'];
+    }
+
+    static sniff(text) {
+        return /OFXHEADER|<OFX>/i.test(text);
+    }
+
+    static async parse(file) {
+        const text = await file.text();
+        const records = [];
+        const rejected = [];
+
+        // SGML OFX leaves leaf elements unclosed, so read values up to the next tag or line break
+        const field = (block, name) => {
+            const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+            return match ? XmlReader.decode(match[1].trim()) : '';
+        };
+
+        const currencies = [...text.matchAll(/<CURDEF>([^<\r\n]*)/gi)].map(match => ({ index: match.index, code: match[1].trim() }));
+        const pattern = /<STMTTRN>([\s\S]*?)(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const block = match[1];
+            const line = Importers.lineAt(text, match.index);
+            const amount = field(block, 'TRNAMT');
+
+            if (!amount) {
+                rejected.push({ line, reason: 'Transaction has no TRNAMT', raw: Importers.truncate(block.replace(/\s+/g, ' ').trim()) });
+                continue;
+            }
+
+            // The statement currency is declared once, before its transaction list
+            const currency = currencies.filter(entry => entry.index < match.index).pop();
+            records.push({
+                line,
+                data: {
+                    'Reference': field(block, 'FITID'),
+                    'Date': OfxImporter.date(field(block, 'DTPOSTED')),
+                    'Amount': amount.replace(',', '.'),
+                    'Currency': currency ? currency.code : '',
+                    'Status': 'posted',
+                    'Counterparty': field(block, 'NAME') || field(block, 'PAYEEID'),
+                    'Description': field(block, 'MEMO'),
+                    'Type': field(block, 'TRNTYPE'),
+                    'Check Number': field(block, 'CHECKNUM')
+                }
+            });
+        }
+
+        if (records.length === 0 && rejected.length === 0) {
+            throw new Error(`${file.name} contains no OFX transactions`);
+        }
+        return Importers.result(OfxImporter.label, records, rejected);
+    }
+
+    // 20240115, 20240115120000 or 20240115120000.000[-5:EST]
+    static date(value) {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?(?:\.\d+)?)?(?:\[([+-]?\d{1,2})(?:\.(\d{2}))?(?::[^\]]*)?\])?/);
+        if (!match) {
+            return value;
+        }
+        const date = `${match[1]}-${match[2]}-${match[3]}`;
+        if (!match[4]) {
+            return date;
+        }
+
+        let offset = '';
+        if (match[7] !== undefined) {
+            const hours = Number(match[7]);
+            offset = `${hours < 0 || match[7].startsWith('-') ? '-' : '+'}${Math.abs(hours).toString().padStart(2, '0')}:${match[8] || '00'}`;
+        }
+        return `${date}T${match[4]}:${match[5]}:${match[6] || '00'}${offset}`;
+    }
+}
+
+// Quicken Interchange Format. Only bank, cash and card sections are read;
+// investment, category and account lists are skipped.
+class QifImporter {
+    static get label() {
+        return 'QIF';
+    }
+
+    static get extensions() {
+        return ['qif'];
+    }
+
+    static sniff(text) {
+        return /^\s*!(Type|Account|Option)/i.test(text);
+    }
+
+    static async parse(file) {
+        const lines = (await file.text()).split(/\r?\n/);
+        const records = [];
+        const rejected = [];
+        let section = null;
+        let entry = null;
+
+        const finish = () => {
+            if (!entry) {
+                return;
+            }
+            if (!entry.data['Amount']) {
+                rejected.push({ line: entry.line, reason: 'Transaction has no amount', raw: Importers.truncate(entry.raw.join(' | ')) });
+            } else {
+                records.push({ line: entry.line, data: entry.data });
+            }
+            entry = null;
+        };
+
+        lines.forEach((source, index) => {
+            const text = source.trim();
+            if (!text) {
+                return;
+            }
+            if (text.startsWith('!')) {
+                finish();
+                const type = text.match(/^!Type:(.*)$/i);
+                section = type ? type[1].trim().toLowerCase() : null;
+                return;
+            }
+            if (!['bank', 'cash', 'ccard', 'oth a', 'oth l'].includes(section)) {
+                return;
+            }
+            if (text === '^') {
+                finish();
+                return;
+            }
+
+            if (!entry) {
+                entry = {
+                    line: index + 1,
+                    raw: [],
+                    data: { 'Reference': '', 'Date': '', 'Amount': '', 'Status': 'uncleared', 'Counterparty': '', 'Description': '', 'Category': '' }
+                };
+            }
+            entry.raw.push(text);
+
+            const value = text.slice(1).trim();
+            switch (text[0]) {
+                case 'D':
+                    entry.data['Date'] = QifImporter.date(value);
+                    break;
+                case 'T':
+                case 'U':
+                    entry.data['Amount'] = value.replace(/,/g, '');
+                    break;
+                case 'N':
+                    entry.data['Reference'] = value;
+                    break;
+                case 'P':
+                    entry.data['Counterparty'] = value;
+                    break;
+                case 'M':
+                    entry.data['Description'] = value;
+                    break;
+                case 'L':
+                    entry.data['Category'] = value;
+                    break;
+                case 'C':
+                    entry.data['Status'] = /^[xr]$/i.test(value) ? 'reconciled' : 'cleared';
+                    break;
+            }
+        });
+        finish();
+
+        return Importers.result(QifImporter.label, records, rejected);
+    }
+
+    // 1/15/2024, 1/15'24, 01/15/24 (month first) or 15.01.2024 (day first)
+    static date(value) {
+        const match = value.replace(/\s+/g, '').match(/^(\d{1,2})([/.-])(\d{1,2})['/.-](\d{1,4})$/);
+        if (!match) {
+            return value;
+        }
+        let [month, day] = [Number(match[1]), Number(match[3])];
+        if (match[2] === '.' || month > 12) {
+            [month, day] = [day, month];
+        }
+        return Importers.isoDate(match[4], month, day);
+    }
+}
+
+// ISO 20022 camt.053 bank-to-customer statements. A booking that bundles several
+// transactions (a batch) is split into one row per transaction, with the entry's
+// servicer reference as the batch ID.
+class Camt053Importer {
+    static get label() {
+        return 'camt.053';
+    }
+
+    static get extensions() {
+        return ['xml'];
+    }
+
+    static sniff(text) {
+        return /BkToCstmrStmt/.test(text);
+    }
+
+    static async parse(file) {
+        const root = XmlReader.parse(await file.text());
+        const statements = XmlReader.descendants(root, 'Stmt');
+        if (statements.length === 0) {
+            throw new Error(`${file.name} is not a camt.053 statement (no <Stmt> element found)`);
+        }
+
+        const records = [];
+        const rejected = [];
+
+        statements.forEach(statement => {
+            XmlReader.children(statement, 'Ntry').forEach(entry => {
+                const amount = XmlReader.find(entry, 'Amt');
+                if (!amount || !amount.text.trim()) {
+                    rejected.push({ line: entry.line, reason: 'Entry has no <Amt>', raw: XmlReader.text(entry, 'AcctSvcrRef') || XmlReader.text(entry, 'NtryRef') });
+                    return;
+                }
+
+                const details = XmlReader.children(entry, 'NtryDtls').flatMap(group => XmlReader.children(group, 'TxDtls'));
+                const status = XmlReader.text(entry, 'Sts/Cd') || XmlReader.text(entry, 'Sts');
+                const base = {
+                    date: Camt053Importer.date(entry, 'BookgDt'),
+                    valueDate: Camt053Importer.date(entry, 'ValDt'),
+                    status: { BOOK: 'booked', PDNG: 'pending', INFO: 'information' }[status] || status,
+                    entryReference: XmlReader.text(entry, 'AcctSvcrRef') || XmlReader.text(entry, 'NtryRef'),
+                    description: XmlReader.text(entry, 'AddtlNtryInf')
+                };
+
+                if (details.length > 1) {
+                    details.forEach(transaction => {
+                        const transactionAmount = XmlReader.find(transaction, 'Amt') || XmlReader.find(transaction, 'AmtDtls/TxAmt/Amt');
+                        records.push(Camt053Importer.record(transaction.line, transactionAmount || amount,
+                            XmlReader.text(transaction, 'CdtDbtInd') || XmlReader.text(entry, 'CdtDbtInd'), transaction, base, true));
+                    });
+                } else {
+                    records.push(Camt053Importer.record(entry.line, amount, XmlReader.text(entry, 'CdtDbtInd'), details[0] || null, base, false));
+                }
+            });
+        });
+
+        return Importers.result(Camt053Importer.label, records, rejected);
+    }
+
+    // Rows split out of a batch keep their own references only, so that they
+    // don't all share (and collide on) the entry's reference
+    static record(line, amount, indicator, transaction, base, batched) {
+        const value = amount.text.trim();
+        const reference = transaction
+            ? [XmlReader.text(transaction, 'Refs/EndToEndId'), XmlReader.text(transaction, 'Refs/TxId'), XmlReader.text(transaction, 'Refs/AcctSvcrRef')]
+                .find(ref => ref && ref !== 'NOTPROVIDED')
+            : '';
+        // Credits name the debtor as counterparty, debits the creditor
+        const party = indicator === 'DBIT' ? 'Cdtr' : 'Dbtr';
+        const counterparty = transaction
+            ? XmlReader.text(transaction, `RltdPties/${party}/Nm`) || XmlReader.text(transaction, `RltdPties/${party}/Pty/Nm`)
+            : '';
+        const remittance = transaction
+            ? XmlReader.descendants(transaction, 'Ustrd').map(element => element.text.trim()).join(' ') || XmlReader.text(transaction, 'AddtlTxInf')
+            : '';
+
+        return {
+            line,
+            data: {
+                'Reference': reference || (batched ? '' : base.entryReference),
+                'Date': base.date,
+                'Value Date': base.valueDate,
+                'Amount': indicator === 'DBIT' ? `-${value}` : value,
+                'Currency': amount.attributes.Ccy || '',
+                'Status': base.status,
+                'Counterparty': counterparty,
+                'Description': remittance || base.description,
+                'Type': indicator === 'DBIT' ? 'debit' : 'credit',
+                'Batch ID': batched ? base.entryReference : '',
+                'Bank Reference': base.entryReference
+            }
+        };
+    }
+
+    static date(entry, name) {
+        return XmlReader.text(entry, `${name}/Dt`) || XmlReader.text(entry, `${name}/DtTm`);
+    }
+}
+
+// SWIFT MT940 customer statements. Each :61: statement line becomes a row, with
+// the :86: information that follows it as the description.
+class Mt940Importer {
+    static get label() {
+        return 'MT940';
+    }
+
+    static get extensions() {
+        return ['sta', 'mt940', '940'];
+    }
+
+    static sniff(text) {
+        return /^:20:/m.test(text) && /^:(60[FM]|61):/m.test(text);
+    }
+
+    static async parse(file) {
+        const lines = (await file.text()).split(/\r?\n/);
+        const records = [];
+        const rejected = [];
+
+        // Group lines into tags; lines that don't start a tag continue the previous one
+        const tags = [];
+        lines.forEach((source, index) => {
+            // Drop the SWIFT envelope ({1:...}{2:...}{4:) and the "-}" or "-" that ends a message
+            const text = source.replace(/^(?:\{\d:[^{}]*\})*(?:\{4:)?/, '');
+            const match = text.match(/^:(\d{2}[A-Z]?):(.*)$/);
+            if (match) {
+                tags.push({ tag: match[1], value: match[2], line: index + 1 });
+            } else if (tags.length > 0 && text.trim() && !/^-\}?\s*$/.test(text) && !/^\{5:/.test(text)) {
+                tags[tags.length - 1].value += `\n${text}`;
+            }
+        });
+
+        let currency = '';
+        let statementReference = '';
+        let current = null;
+
+        tags.forEach(({ tag, value, line }) => {
+            if (tag === '20') {
+                statementReference = value.trim();
+            } else if (tag === '60F' || tag === '60M') {
+                currency = value.slice(7, 10);
+            } else if (tag === '61') {
+                const parsed = Mt940Importer.statementLine(value, currency);
+                if (!parsed) {
+                    current = null;
+                    rejected.push({ line, reason: 'Unrecognised :61: statement line', raw: Importers.truncate(value.replace(/\n/g, ' ')) });
+                    return;
+                }
+                parsed['Statement'] = statementReference;
+                current = { line, data: parsed };
+                records.push(current);
+            } else if (tag === '86' && current) {
+                const info = Mt940Importer.information(value);
+                current.data['Description'] = info.description;
+                if (info.counterparty) {
+                    current.data['Counterparty'] = info.counterparty;
+                }
+                current = null;
+            }
+        });
+
+        if (records.length === 0 && rejected.length === 0) {
+            throw new Error(`${file.name} contains no MT940 statement lines`);
+        }
+        return Importers.result(Mt940Importer.label, records, rejected);
+    }
+
+    // YYMMDD[MMDD](D|C|RD|RC)[funds code]amount type[customer ref][//bank ref][\nsupplementary details]
+    static statementLine(value, currency) {
+        const match = value.match(/^(\d{2})(\d{2})(\d{2})(\d{4})?(RD|RC|D|C)([A-Z])?(\d+,\d*)([A-Z0-9]{4})([^\n]*?)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/);
+        if (!match) {
+            return null;
+        }
+
+        const amount = match[7].replace(',', '.').replace(/\.$/, '');
+        // Debits and reversed credits take money out of the account
+        const debit = match[5] === 'D' || match[5] === 'RC';
+        const customerReference = match[9].trim();
+        const bankReference = (match[10] || '').trim();
+
+        return {
+            'Reference': customerReference && customerReference !== 'NONREF' ? customerReference : bankReference,
+            'Date': Importers.isoDate(match[1], match[2], match[3]),
+            'Amount': debit ? `-${amount}` : amount,
+            'Currency': currency,
+            'Status': 'booked',
+            'Counterparty': '',
+            'Description': (match[11] || '').trim(),
+            'Type': match[8],
+            'Bank Reference': bankReference
+        };
+    }
+
+    // :86: is free text, or structured subfields (?20-?29 remittance, ?32-?33 name)
+    static information(value) {
+        const text = value.replace(/\n/g, '');
+        if (!/\?\d{2}/.test(text)) {
+            return { description: value.replace(/\n/g, ' ').trim(), counterparty: '' };
+        }
+
+        const fields = {};
+        text.split(/\?(?=\d{2})/).slice(1).forEach(part => {
+            fields[part.slice(0, 2)] = part.slice(2);
+        });
+        const join = codes => codes.map(code => fields[code] || '').join('').trim();
+
+        return {
+            description: join(['20', '21', '22', '23', '24', '25', '26', '27', '28', '29', '60', '61', '62', '63']) || (fields['00'] || '').trim(),
+            counterparty: join(['32', '33'])
+        };
+    }
+}
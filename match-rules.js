@@ -0,0 +1,273 @@
+// User-defined matching: a profile lists match passes that run in order, each
+// pairing the rows left over by the passes before it. A pass builds a key for
+// every row from one or more fields, normalises it, pairs rows whose keys are
+// unique and equal on both sides, and compares the pair with its own comparators.
+//
+//   {
+//       "name": "Stripe",
+//       "passes": [{
+//           "name": "Charge ID",
+//           "key": ["reference"],
+//           "normalize": ["trim", "upper", { "stripPrefix": ["CH_", "PI_"] }],
+//           "provider": { "key": ["column:Order ID"], "normalize": [{ "extract": "ORD-(\\d+)" }] },
+//           "compare": { "amount": { "mode": "absolute", "absolute": "0.05" }, "status": "exact", "date": { "maxDays": 2 } },
+//           "requireMatch": false
+//       }]
+//   }
+//
+// "internal" and "provider" override the key or normalisation for one side. Key
+// fields are the mapped fields (amount and date compare as parsed values) or
+// "column:<header>" for a column that isn't mapped. Comparators left out fall
+// back to the matching settings; "ignore" skips that check. An extract step may
+// carry regular expression flags: { "extract": "order (\\d+)", "flags": "i" }.
+// With requireMatch a pair is only taken when every comparator agrees, otherwise
+// both rows stay for the next pass.
+class MatchRules {
+    static get DEFAULT_PROFILE() {
+        return {
+            name: 'Reference only',
+            passes: [{ name: 'reference', key: ['reference'] }]
+        };
+    }
+
+    static get STATUS_COMPARATORS() {
+        return ['state', 'exact', 'ignore'];
+    }
+
+    constructor(profile = null) {
+        this.profile = profile || MatchRules.DEFAULT_PROFILE;
+        const errors = MatchRules.validate(this.profile);
+        if (errors.length > 0) {
+            throw new Error(`Matching rules "${this.profile.name || 'unnamed'}": ${errors.join('. ')}`);
+        }
+
+        this.passes = this.profile.passes.map(pass => ({
+            name: pass.name,
+            compare: pass.compare || {},
+            requireMatch: Boolean(pass.requireMatch),
+            internal: MatchRules.compileKey(pass, pass.internal),
+            provider: MatchRules.compileKey(pass, pass.provider)
+        }));
+    }
+
+    static compileKey(pass, override = {}) {
+        return {
+            fields: override.key || pass.key,
+            steps: (override.normalize || pass.normalize || []).map(step => MatchRules.compileStep(step))
+        };
+    }
+
+    // Steps are either a name ("trim", "upper", "lower") or { stripPrefix } / { extract }
+    static compileStep(step) {
+        if (typeof step === 'string') {
+            return { type: step };
+        }
+        if (step.stripPrefix !== undefined) {
+            return { type: 'stripPrefix', prefixes: [].concat(step.stripPrefix) };
+        }
+        return { type: 'extract', pattern: new RegExp(step.extract, step.flags || '') };
+    }
+
+    // Returns a list of problems with a profile, empty when it can be used
+    static validate(profile) {
+        const errors = [];
+        if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+            return ['A profile must be a JSON object'];
+        }
+        if (!profile.name || typeof profile.name !== 'string') {
+            errors.push('The profile needs a name');
+        }
+        if (!Array.isArray(profile.passes) || profile.passes.length === 0) {
+            errors.push('The profile needs at least one pass');
+            return errors;
+        }
+
+        const fields = ColumnMapper.FIELDS.map(field => field.key);
+        const names = new Set();
+        profile.passes.forEach((pass, index) => {
+            const label = `Pass ${index + 1}${pass && pass.name ? ` (${pass.name})` : ''}`;
+            if (!pass || typeof pass !== 'object') {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+            if (!pass.name) {
+                errors.push(`${label} needs a name`);
+            } else if (names.has(pass.name)) {
+                errors.push(`${label} has the same name as an earlier pass`);
+            }
+            names.add(pass.name);
+
+            [['', pass], ['internal ', pass.internal || {}], ['provider ', pass.provider || {}]].forEach(([side, spec]) => {
+                if (spec.key !== undefined) {
+                    if (!Array.isArray(spec.key) || spec.key.length === 0) {
+                        errors.push(`${label}: ${side}key must list at least one field`);
+                    } else {
+                        spec.key
+                            .filter(field => typeof field !== 'string' || !(fields.includes(field) || (field.startsWith('column:') && field.length > 7)))
+                            .forEach(field => errors.push(`${label}: unknown ${side}key field "${field}"`));
+                    }
+                }
+                if (spec.normalize !== undefined) {
+                    if (!Array.isArray(spec.normalize)) {
+                        errors.push(`${label}: ${side}normalize must be a list of steps`);
+                    } else {
+                        spec.normalize.forEach(step => errors.push(...MatchRules.validateStep(step).map(error => `${label}: ${error}`)));
+                    }
+                }
+            });
+            if (pass.key === undefined && !(pass.internal && pass.internal.key && pass.provider && pass.provider.key)) {
+                errors.push(`${label} needs a key`);
+            }
+
+            const compare = pass.compare || {};
+            if (compare.amount !== undefined && compare.amount !== 'ignore' && (typeof compare.amount !== 'object' || compare.amount === null)) {
+                errors.push(`${label}: amount must be a tolerance or "ignore"`);
+            }
+            if (compare.status !== undefined && !MatchRules.STATUS_COMPARATORS.includes(compare.status)) {
+                errors.push(`${label}: status must be one of ${MatchRules.STATUS_COMPARATORS.join(', ')}`);
+            }
+            if (compare.date !== undefined && compare.date !== 'ignore' && !(compare.date && Number(compare.date.maxDays) >= 0)) {
+                errors.push(`${label}: date must be { "maxDays": n } or "ignore"`);
+            }
+        });
+
+        return errors;
+    }
+
+    static validateStep(step) {
+        if (typeof step === 'string') {
+            return ['trim', 'upper', 'lower'].includes(step) ? [] : [`unknown normalize step "${step}"`];
+        }
+        if (!step || typeof step !== 'object') {
+            return ['normalize steps must be names or objects'];
+        }
+        if (step.stripPrefix !== undefined) {
+            return [].concat(step.stripPrefix).every(prefix => typeof prefix === 'string' && prefix)
+                ? []
+                : ['stripPrefix must be a prefix or a list of prefixes'];
+        }
+        if (step.extract !== undefined) {
+            try {
+                new RegExp(step.extract, step.flags || '');
+                return [];
+            } catch (error) {
+                return [`extract is not a valid regular expression: ${error.message}`];
+            }
+        }
+        return [`unknown normalize step ${JSON.stringify(step)}`];
+    }
+
+    static fieldValue(row, field) {
+        if (field.startsWith('column:')) {
+            return ((row.raw || {})[field.slice(7)] ?? '').toString();
+        }
+        if (field === 'amount') {
+            return row.amount_minor === null || row.amount_minor === undefined ? '' : String(row.amount_minor);
+        }
+        if (field === 'date') {
+            return DateParser.toISODate(row.date_ms);
+        }
+        return (row[field] ?? '').toString();
+    }
+
+    static normalize(value, steps) {
+        return steps.reduce((current, step) => {
+            if (step.type === 'trim') {
+                return current.trim();
+            }
+            if (step.type === 'upper') {
+                return current.toUpperCase();
+            }
+            if (step.type === 'lower') {
+                return current.toLowerCase();
+            }
+            if (step.type === 'stripPrefix') {
+                const prefix = step.prefixes.find(candidate => current.startsWith(candidate));
+                return prefix ? current.slice(prefix.length) : current;
+            }
+            // extract keeps the first capture group, or the whole match without one
+            const match = current.match(step.pattern);
+            return match ? match[1] ?? match[0] : '';
+        }, value);
+    }
+
+    // The row's key for a pass, or null when any of its fields is empty
+    key(row, pass, side) {
+        const spec = pass[side];
+        const parts = [];
+        for (const field of spec.fields) {
+            const value = MatchRules.normalize(MatchRules.fieldValue(row, field), spec.steps);
+            if (!value) {
+                return null;
+            }
+            parts.push(value);
+        }
+        return parts.join('|');
+    }
+
+    // Whether every pass keys on the field for this side, i.e. a row without it can't pair
+    requires(field, side) {
+        return this.passes.every(pass => pass[side].fields.includes(field));
+    }
+
+    // The engine's match context with this pass's comparators swapped in
+    contextFor(pass, context) {
+        const { amount, status, date } = pass.compare;
+        return {
+            ...context,
+            tolerance: amount && amount !== 'ignore' ? new AmountTolerance(amount) : context.tolerance,
+            ignoreAmount: amount === 'ignore',
+            statusComparator: status || 'state',
+            maxDateDrift: date === 'ignore' ? Infinity : date ? Number(date.maxDays) : context.maxDateDrift
+        };
+    }
+}
+
+// Matching rule profiles kept in localStorage, imported and exported as JSON files
+class MatchProfiles {
+    constructor(storageKey = 'reconciliation.matchProfiles') {
+        this.storageKey = storageKey;
+    }
+
+    list() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    get(name) {
+        return this.list().find(profile => profile.name === name) || null;
+    }
+
+    // Parses and checks an exported profile, then saves it under its own name
+    import(text) {
+        let profile;
+        try {
+            profile = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`The matching rules file is not valid JSON: ${error.message}`);
+        }
+        const errors = MatchRules.validate(profile);
+        if (errors.length > 0) {
+            throw new Error(`The matching rules file can't be used: ${errors.join('. ')}`);
+        }
+        this.save(profile);
+        return profile;
+    }
+
+    save(profile) {
+        const profiles = this.list().filter(saved => saved.name !== profile.name);
+        profiles.push(profile);
+        localStorage.setItem(this.storageKey, JSON.stringify(profiles));
+    }
+
+    remove(name) {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.list().filter(profile => profile.name !== name)));
+    }
+
+    export(profile) {
+        return JSON.stringify(profile, null, 4);
+    }
+}
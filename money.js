@@ -0,0 +1,189 @@
+// Amounts are handled as integer minor units (cents) per currency so that
+// comparisons never go through floating point.
+class Money {
+    static get MINOR_DIGITS() {
+        return {
+            BHD: 3, BIF: 0, CLP: 0, DJF: 0, GNF: 0, IQD: 3, ISK: 0, JOD: 3, JPY: 0, KMF: 0,
+            KRW: 0, KWD: 3, LYD: 3, OMR: 3, PYG: 0, RWF: 0, TND: 3, UGX: 0, VND: 0, VUV: 0,
+            XAF: 0, XOF: 0, XPF: 0
+        };
+    }
+
+    static get SYMBOLS() {
+        return { 'KSh': 'KES', 'US$': 'USD', 'R$': 'BRL', '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₦': 'NGN', '₹': 'INR' };
+    }
+
+    static minorDigits(currency) {
+        return Money.MINOR_DIGITS[(currency || '').toUpperCase()] ?? 2;
+    }
+
+    // Parses strings such as "1,234.50", "(12.00)", "KES 500", "1.234,50" or "-€3".
+    // Returns { minor, currency } where minor is null when the value isn't a number.
+    static parse(value, currency = '') {
+        let text = (value ?? '').toString().trim();
+        let detected = (currency || '').toUpperCase();
+
+        for (const [symbol, symbolCurrency] of Object.entries(Money.SYMBOLS)) {
+            if (text.includes(symbol)) {
+                detected = detected || symbolCurrency;
+                text = text.replace(symbol, '');
+                break;
+            }
+        }
+        const code = text.match(/\b([A-Za-z]{3})\b/);
+        if (code) {
+            detected = detected || code[1].toUpperCase();
+            text = text.replace(code[0], '');
+        }
+        text = text.replace(/\s+/g, '');
+
+        let negative = false;
+        if (/^\(.*\)$/.test(text)) {
+            negative = true;
+            text = text.slice(1, -1);
+        }
+        if (/^-/.test(text) || /-$/.test(text)) {
+            negative = !negative;
+            text = text.replace(/^-|-$/g, '');
+        }
+        if (/^\+/.test(text)) {
+            text = text.slice(1);
+        }
+
+        if (!/^[0-9.,]*[0-9][0-9.,]*$/.test(text)) {
+            return { minor: null, currency: detected };
+        }
+
+        const digits = Money.minorDigits(detected);
+        const decimalSeparator = Money.decimalSeparator(text, digits);
+        const parts = decimalSeparator ? text.split(decimalSeparator) : [text];
+        if (parts.length > 2) {
+            return { minor: null, currency: detected };
+        }
+
+        const whole = parts[0].replace(/[.,]/g, '') || '0';
+        const fraction = (parts[1] || '').replace(/[.,]/g, '');
+        const padded = (fraction + '0'.repeat(digits)).slice(0, digits);
+
+        let minor = Number(whole) * Math.pow(10, digits) + Number(padded || 0);
+        // Round half up on the first dropped digit
+        if (fraction.length > digits && Number(fraction[digits]) >= 5) {
+            minor += 1;
+        }
+        if (!Number.isSafeInteger(minor)) {
+            return { minor: null, currency: detected };
+        }
+
+        return { minor: negative && minor !== 0 ? -minor : minor, currency: detected };
+    }
+
+    // Works out which of "." or "," (if either) separates the decimals
+    static decimalSeparator(text, digits) {
+        const lastDot = text.lastIndexOf('.');
+        const lastComma = text.lastIndexOf(',');
+
+        if (lastDot !== -1 && lastComma !== -1) {
+            return lastDot > lastComma ? '.' : ',';
+        }
+
+        const separator = lastDot !== -1 ? '.' : lastComma !== -1 ? ',' : null;
+        if (!separator) {
+            return null;
+        }
+
+        // Repeated separators are thousands grouping; so is a single one after a
+        // 1-3 digit group and before exactly three digits ("1,234" or "12.500"),
+        // unless the currency itself has three decimals
+        const groups = text.split(separator);
+        if (groups.length > 2) {
+            return null;
+        }
+        if (groups[1].length === 3 && /^[1-9][0-9]{0,2}$/.test(groups[0]) && digits !== 3) {
+            return null;
+        }
+        return separator;
+    }
+
+    // Formats minor units as a plain decimal string, e.g. -123456 => "-1234.56"
+    static toDecimal(minor, currency = '') {
+        if (minor === null || minor === undefined) {
+            return '';
+        }
+
+        const digits = Money.minorDigits(currency);
+        const sign = minor < 0 ? '-' : '';
+        const absolute = Math.abs(minor).toString().padStart(digits + 1, '0');
+
+        if (digits === 0) {
+            return sign + absolute;
+        }
+        return `${sign}${absolute.slice(0, -digits)}.${absolute.slice(-digits)}`;
+    }
+
+    // Formats minor units for display with the currency's symbol, e.g. 123456 EUR => "€1,234.56"
+    static format(minor, currency = '') {
+        if (minor === null || minor === undefined) {
+            return 'N/A';
+        }
+
+        const code = (currency || '').toUpperCase();
+        const decimal = Money.toDecimal(minor, code);
+
+        if (/^[A-Z]{3}$/.test(code)) {
+            if (!Money.formatters) {
+                Money.formatters = new Map();
+            }
+            if (!Money.formatters.has(code)) {
+                const digits = Money.minorDigits(code);
+                try {
+                    Money.formatters.set(code, new Intl.NumberFormat(undefined, {
+                        style: 'currency',
+                        currency: code,
+                        minimumFractionDigits: digits,
+                        maximumFractionDigits: digits
+                    }));
+                } catch (error) {
+                    Money.formatters.set(code, null);
+                }
+            }
+            const formatter = Money.formatters.get(code);
+            if (formatter) {
+                return formatter.format(Number(decimal));
+            }
+        }
+
+        return code ? `${code} ${decimal}` : decimal;
+    }
+}
+
+// Decides whether two amounts are close enough to count as equal.
+// Modes: 'absolute' (fixed amount), 'percentage' (of the internal amount)
+// and 'per_currency' (fixed amount per currency, falling back to absolute).
+class AmountTolerance {
+    constructor(config = {}) {
+        this.mode = config.mode || 'absolute';
+        this.absolute = config.absolute ?? '0.00';
+        this.percentage = Number(config.percentage) || 0;
+        this.perCurrency = config.perCurrency || {};
+    }
+
+    // Largest allowed difference in minor units for an amount in the given currency
+    allowance(baseMinor, currency) {
+        if (this.mode === 'percentage') {
+            return Math.floor(Math.abs(baseMinor || 0) * this.percentage / 100);
+        }
+
+        const configured = this.mode === 'per_currency' && this.perCurrency[(currency || '').toUpperCase()] !== undefined
+            ? this.perCurrency[(currency || '').toUpperCase()]
+            : this.absolute;
+        const parsed = Money.parse(configured, currency);
+        return parsed.minor === null ? 0 : Math.abs(parsed.minor);
+    }
+
+    allows(internalMinor, providerMinor, currency) {
+        if (internalMinor === null || providerMinor === null) {
+            return false;
+        }
+        return Math.abs(providerMinor - internalMinor) <= this.allowance(internalMinor, currency);
+    }
+}
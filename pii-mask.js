@@ -0,0 +1,149 @@
+// Masks personal data for shared screens and, optionally, CSV exports. A rule
+// names a mapped field ("counterparty") or a source column ("column:Customer
+// Email") and how to mask it. Rules follow a value across mapping: a column rule
+// also masks the field mapped from that column, and a field rule the column it
+// came from. With detect on, card numbers and email addresses are masked wherever
+// they turn up in other text, such as descriptions or raw rows.
+class PiiMasker {
+    static get TYPES() {
+        return {
+            card: 'Card number (last four digits kept)',
+            email: 'Email address (first letter and domain kept)',
+            phone: 'Phone number (last two digits kept)',
+            name: 'Name (initials kept)',
+            full: 'Hide entirely'
+        };
+    }
+
+    // rules: [{ target, type }]
+    constructor(options = {}) {
+        this.rules = options.rules || [];
+        this.detect = Boolean(options.detect);
+        this.types = new Map(this.rules.map(rule => [rule.target, rule.type]));
+    }
+
+    get active() {
+        return this.rules.length > 0 || this.detect;
+    }
+
+    // Accepts one "target = type" rule per line
+    static parse(text) {
+        const errors = [];
+        const rules = [];
+        const fields = ColumnMapper.FIELDS.map(field => field.key);
+
+        (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach((line, index) => {
+            const separator = line.lastIndexOf('=');
+            const target = line.slice(0, separator).trim();
+            const type = line.slice(separator + 1).trim().toLowerCase();
+            if (separator < 0 || !target) {
+                errors.push(`Masking rule ${index + 1} is not "field = type": ${line}`);
+            } else if (!fields.includes(target) && !(target.startsWith('column:') && target.length > 7)) {
+                errors.push(`Masking rule ${index + 1} names an unknown field "${target}"; use a field such as counterparty or column:<header>`);
+            } else if (!PiiMasker.TYPES[type]) {
+                errors.push(`Masking rule ${index + 1} has an unknown type "${type}"; use ${Object.keys(PiiMasker.TYPES).join(', ')}`);
+            } else {
+                rules.push({ target, type });
+            }
+        });
+
+        return { rules, errors };
+    }
+
+    static mask(value, type) {
+        const text = String(value ?? '').trim();
+        if (!text) {
+            return text;
+        }
+        const digits = text.replace(/\D/g, '');
+
+        switch (type) {
+            case 'card':
+                return digits.length >= 8 ? `•••• ${digits.slice(-4)}` : '••••';
+            case 'email': {
+                const at = text.lastIndexOf('@');
+                return at > 0 ? `${text[0]}•••${text.slice(at)}` : '•••';
+            }
+            case 'phone':
+                return digits.length > 4 ? `•••${digits.slice(-2)}` : '•••';
+            case 'name':
+                return text.split(/\s+/).map(word => `${word[0]}.`).join(' ');
+            default:
+                return '•••';
+        }
+    }
+
+    // Card numbers pass the Luhn check, which keeps long order numbers readable
+    static isCardNumber(digits) {
+        let sum = 0;
+        for (let index = 0; index < digits.length; index++) {
+            let digit = Number(digits[digits.length - 1 - index]);
+            if (index % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) {
+                    digit -= 9;
+                }
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+
+    // Masks card numbers and email addresses inside free text
+    static scrub(text) {
+        return String(text ?? '')
+            .replace(/\b\d(?:[ -]?\d){12,18}\b/g, match => PiiMasker.isCardNumber(match.replace(/\D/g, '')) ? PiiMasker.mask(match, 'card') : match)
+            .replace(/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, match => PiiMasker.mask(match, 'email'));
+    }
+
+    static same(a, b) {
+        return String(a ?? '').trim() === String(b ?? '').trim();
+    }
+
+    // The value of a row's field. row is optional and lets column rules apply.
+    value(field, value, row = null) {
+        if (!this.active || value === null || value === undefined || value === '') {
+            return value;
+        }
+
+        let type = this.types.get(field);
+        if (!type && row && row.raw) {
+            const column = Object.keys(row.raw).find(header => this.types.has(`column:${header}`) && PiiMasker.same(row.raw[header], value));
+            type = column ? this.types.get(`column:${column}`) : null;
+        }
+        if (type) {
+            return PiiMasker.mask(value, type);
+        }
+        return this.detect ? PiiMasker.scrub(value) : value;
+    }
+
+    // One of the row's source columns; without the row only column rules apply
+    column(header, value, row = {}) {
+        if (!this.active || value === null || value === undefined || value === '') {
+            return value;
+        }
+
+        let type = this.types.get(`column:${header}`);
+        if (!type) {
+            const rule = this.rules.find(candidate => !candidate.target.startsWith('column:') && PiiMasker.same(row[candidate.target], value));
+            type = rule ? rule.type : null;
+        }
+        if (type) {
+            return PiiMasker.mask(value, type);
+        }
+        return this.detect ? PiiMasker.scrub(value) : value;
+    }
+
+    // The value a data-quality issue quotes from its row
+    issue(issue) {
+        if (issue.rejected || !issue.column) {
+            return this.text(issue.value);
+        }
+        return this.value(issue.field, issue.value, { raw: { [issue.column]: issue.value } });
+    }
+
+    // Text with no known field, such as a whole raw row; only detection applies
+    text(value) {
+        return this.detect ? PiiMasker.scrub(value) : value;
+    }
+}
@@ -0,0 +1,52 @@
+// The IndexedDB database shared by the exception workflow and run history.
+// Bump VERSION and extend upgrade() when adding an object store.
+class ReconciliationDB {
+    static get VERSION() {
+        return 2;
+    }
+
+    static open(name = 'reconciliation') {
+        ReconciliationDB.connections = ReconciliationDB.connections || new Map();
+        if (!ReconciliationDB.connections.has(name)) {
+            ReconciliationDB.connections.set(name, new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
+                }
+                const request = indexedDB.open(name, ReconciliationDB.VERSION);
+                request.onupgradeneeded = () => ReconciliationDB.upgrade(request.result);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }));
+        }
+        return ReconciliationDB.connections.get(name);
+    }
+
+    static upgrade(db) {
+        if (!db.objectStoreNames.contains('resolutions')) {
+            const resolutions = db.createObjectStore('resolutions', { keyPath: ['run_id', 'key'] });
+            resolutions.createIndex('run_id', 'run_id');
+        }
+        // Run summaries are listed often, so the (possibly huge) results live in their own store
+        if (!db.objectStoreNames.contains('runs')) {
+            const runs = db.createObjectStore('runs', { keyPath: 'id' });
+            runs.createIndex('reconciled_at', 'reconciled_at');
+        }
+        if (!db.objectStoreNames.contains('run_results')) {
+            db.createObjectStore('run_results', { keyPath: 'id' });
+        }
+    }
+
+    // Runs work(store, transaction) in a transaction and resolves with the result of
+    // the request it returns once the transaction has committed
+    static async transaction(name, storeNames, mode, work) {
+        const db = await ReconciliationDB.open(name);
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const first = Array.isArray(storeNames) ? storeNames[0] : storeNames;
+            const request = work(transaction.objectStore(first), transaction);
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
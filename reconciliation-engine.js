@@ -0,0 +1,585 @@
+// Parsing and matching, kept free of DOM access so that it can run either in
+// reconciliation-worker.js or, where workers are unavailable, on the page itself.
+class ReconciliationEngine {
+    static get PROGRESS_INTERVAL() {
+        return 10000;
+    }
+
+    // onProgress receives { phase, rows, total } updates; file parsing also
+    // reports the file name and bytes loaded
+    constructor(options = {}) {
+        this.onProgress = options.onProgress || null;
+        this.cancelled = false;
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    checkCancelled() {
+        if (this.cancelled) {
+            const error = new Error('Reconciliation cancelled');
+            error.name = 'AbortError';
+            throw error;
+        }
+    }
+
+    report(progress) {
+        if (this.onProgress) {
+            this.onProgress(progress);
+        }
+    }
+
+    // { type: 'parse', file }, { type: 'validate', internal, provider, bank, mappings,
+    // settings } or { type: 'reconcile', internal, provider, bank, mappings, settings,
+    // carried }, where internal/provider/bank are parsed rows (bank is optional) and
+    // carried holds unresolved orphans brought forward from the previous run
+    async run(job) {
+        if (job.type === 'parse') {
+            return this.parseFile(job.file);
+        }
+        if (job.type === 'validate') {
+            return this.validate(job);
+        }
+        if (job.type === 'reconcile') {
+            const carried = job.carried || {};
+            const internalData = this.carryForward(ColumnMapper.apply(job.internal, job.mappings.internal), carried.internal);
+            const providerData = this.carryForward(ColumnMapper.apply(job.provider, job.mappings.provider), carried.provider);
+            const bankData = job.bank ? ColumnMapper.apply(job.bank, job.mappings.bank) : null;
+            return this.reconcile(internalData, providerData, job.settings, bankData);
+        }
+        throw new Error(`Unknown job type: ${job.type}`);
+    }
+
+    // Data-quality issues for every mapped input, before anything is matched
+    validate(job) {
+        const check = new DataQualityCheck(job.settings);
+        return ['internal', 'provider', 'bank'].filter(side => job[side]).flatMap(side => {
+            this.checkCancelled();
+            this.report({ phase: 'validating', side, rows: job[side].length });
+            return check.check(side, job[side], job.mappings[side]);
+        });
+    }
+
+    // Adds orphans carried over from an earlier run, unless the new file already
+    // contains their reference (cumulative exports would otherwise duplicate them)
+    carryForward(rows, carried = []) {
+        const references = new Set(rows.map(row => row.reference));
+        const additions = carried.filter(row => row.reference && !references.has(row.reference));
+        return additions.length > 0 ? [...rows, ...additions] : rows;
+    }
+
+    async parseFile(file) {
+        let importer;
+        try {
+            importer = Importers.detect(file.name, new Uint8Array(await file.slice(0, 4096).arrayBuffer()));
+        } catch (error) {
+            throw new Error(`Failed to read ${file.name}: ${error.message}`);
+        }
+
+        const result = importer ? await this.importFile(file, importer) : await this.parseDelimited(file);
+
+        if (result.headers.length === 0 || result.rows.length + result.rejected.length === 0) {
+            throw new Error(`${file.name} must have at least a header and one data row`);
+        }
+
+        return result;
+    }
+
+    // Structured formats are read in one go; only CSV is streamed
+    async importFile(file, importer) {
+        this.checkCancelled();
+        this.report({ phase: 'parsing', file: file.name, rows: 0, loaded: 0, total: file.size });
+
+        let result;
+        try {
+            result = await importer.parse(file);
+        } catch (error) {
+            throw new Error(`Failed to read ${file.name} as ${importer.label}: ${error.message}`);
+        }
+
+        this.checkCancelled();
+        this.report({ phase: 'parsing', file: file.name, rows: result.rows.length, loaded: file.size, total: file.size });
+        return result;
+    }
+
+    async parseDelimited(file) {
+        let rows = 0;
+        let loaded = 0;
+        const parser = new CSVParser({ onRow: () => rows++ });
+
+        try {
+            const reader = file.stream().getReader();
+            const decoder = new TextDecoder('utf-8');
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    break;
+                }
+                this.checkCancelled();
+                loaded += value.length;
+                parser.feed(decoder.decode(value, { stream: true }));
+                this.report({ phase: 'parsing', file: file.name, rows, loaded, total: file.size });
+            }
+            parser.feed(decoder.decode());
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            throw new Error(`Failed to read ${file.name}: ${error.message}`);
+        }
+
+        return parser.end();
+    }
+
+    // bankData, when given, adds the provider-to-bank leg of a three-way reconciliation
+    reconcile(internalData, providerData, settings = {}, bankData = null) {
+        const context = this.createMatchContext(settings);
+        const { tolerance } = context;
+        const rules = new MatchRules(settings.matchProfile);
+        const defaultCurrency = settings.defaultCurrency || {};
+
+        // Parse every amount once into integer minor units, every date into a UTC
+        // timestamp, and place each status in a canonical state
+        [['internal', internalData], ['provider', providerData], ['bank', bankData || []]].forEach(([side, rows]) => {
+            const dateOrder = settings.dateFormat && settings.dateFormat !== 'auto'
+                ? settings.dateFormat
+                : DateParser.detectOrder(rows.map(row => row.date));
+
+            rows.forEach((row, index) => {
+                this.checkCancelled();
+                if (index % ReconciliationEngine.PROGRESS_INTERVAL === 0) {
+                    this.report({ phase: 'normalizing', side, rows: index, total: rows.length });
+                }
+                const parsed = Money.parse(row.amount, row.currency || defaultCurrency[side]);
+                row.amount_minor = parsed.minor;
+                row.currency = parsed.currency;
+                this.normalizeFees(row);
+                row.date_ms = DateParser.parse(row.date, dateOrder);
+                row.status_state = context.statuses.normalize(row.status, side);
+            });
+        });
+
+        const results = {
+            matched: [],
+            mismatched: [],
+            status_timing: [],
+            timing_differences: [],
+            fee_deviations: [],
+            suggested: [],
+            groups: [],
+            duplicates: [],
+            internal_only: [],
+            provider_only: [],
+            settlements: [],
+            settlement_mismatches: [],
+            unsettled_payouts: [],
+            bank_only: [],
+            settings,
+            summary: {}
+        };
+
+        const internalByRef = this.groupByReference(internalData);
+        const providerByRef = this.groupByReference(providerData);
+        const duplicated = new Set();
+
+        // A reference that appears more than once on either side is reported as a
+        // duplicate with every row carrying it. The rows still go through the passes,
+        // so a profile keyed on other fields can pair them; the ones left unpaired
+        // are listed under the duplicate rather than as orphans.
+        for (const ref of new Set([...internalByRef.keys(), ...providerByRef.keys()])) {
+            const internalRows = internalByRef.get(ref) || [];
+            const providerRows = providerByRef.get(ref) || [];
+
+            if (internalRows.length > 1 || providerRows.length > 1) {
+                results.duplicates.push({ reference: ref, internal: internalRows, provider: providerRows });
+                [...internalRows, ...providerRows].forEach(row => duplicated.add(row));
+            }
+        }
+
+        // Each pass of the matching rules pairs what the passes before it left over
+        let internalLeft = internalData;
+        let providerLeft = providerData;
+        let paired = 0;
+
+        rules.passes.forEach(pass => {
+            const passContext = rules.contextFor(pass, context);
+            const internalByKey = this.groupByKey(internalLeft, row => rules.key(row, pass, 'internal'));
+            const providerByKey = this.groupByKey(providerLeft, row => rules.key(row, pass, 'provider'));
+            const matched = new Set();
+
+            for (const [key, internalRows] of internalByKey) {
+                if (++paired % ReconciliationEngine.PROGRESS_INTERVAL === 0) {
+                    this.checkCancelled();
+                    this.report({ phase: 'matching', rows: paired, total: internalData.length * rules.passes.length });
+                }
+                const providerRows = providerByKey.get(key);
+                // Keys shared by several rows are ambiguous; a later pass may still tell them apart
+                if (internalRows.length !== 1 || !providerRows || providerRows.length !== 1) {
+                    continue;
+                }
+
+                const [internalTxn] = internalRows;
+                const [providerTxn] = providerRows;
+                const matchData = this.comparePair(internalTxn, providerTxn, internalTxn.reference || providerTxn.reference || key, passContext);
+                if (pass.requireMatch && !matchData.fully_matched) {
+                    continue;
+                }
+                matchData.match_rule = pass.name;
+                matchData.match_key = key;
+                if (providerTxn.reference !== matchData.transaction_reference) {
+                    matchData.provider_reference = providerTxn.reference;
+                }
+                this.categorizePair(results, matchData);
+                matched.add(internalTxn).add(providerTxn);
+            }
+
+            internalLeft = internalLeft.filter(row => !matched.has(row));
+            providerLeft = providerLeft.filter(row => !matched.has(row));
+        });
+
+        internalLeft = internalLeft.filter(row => !duplicated.has(row));
+        providerLeft = providerLeft.filter(row => !duplicated.has(row));
+
+        // Whatever no pass could pair (including rows without a reference, common
+        // in QIF and bank statement lines) may still be linked by batch,
+        // suggestion or amount combination below
+        results.internal_only = internalLeft;
+        results.provider_only = providerLeft;
+
+        this.report({ phase: 'grouping', rows: results.internal_only.length + results.provider_only.length });
+
+        // Link leftovers that share a batch/payout ID
+        const groupMatcher = new GroupMatcher({ tolerance });
+        const batches = groupMatcher.matchByBatch(results.internal_only, results.provider_only);
+        results.groups.push(...batches.groups);
+
+        // Suggest 1:1 pairs for leftovers that don't share a reference
+        const fuzzy = new FuzzyMatcher({ tolerance }).match(batches.internal_only, batches.provider_only);
+        results.suggested = fuzzy.suggestions;
+
+        // Finally look for N:1 and 1:N amount combinations among what remains
+        const subsets = groupMatcher.matchBySubsetSum(fuzzy.internal_only, fuzzy.provider_only);
+        results.groups.push(...subsets.groups);
+        results.internal_only = subsets.internal_only;
+        results.provider_only = subsets.provider_only;
+
+        // Orphans dated close to the period boundary most likely belong to the neighbouring period
+        if (settings.period && (settings.period.start || settings.period.end)) {
+            this.separateTimingDifferences(results, settings.period);
+        }
+
+        if (bankData) {
+            this.report({ phase: 'settling', rows: bankData.length });
+            this.reconcileSettlements(results, providerData, bankData, context, settings);
+        }
+
+        // Calculate summary
+        results.summary = {
+            total_internal: internalData.length,
+            total_provider: providerData.length,
+            total_bank: bankData ? bankData.length : null,
+            carried_forward_count: [...internalData, ...providerData].filter(row => row.carried_from).length
+        };
+        this.updateSummary(results);
+
+        return results;
+    }
+
+    // Links provider payouts to bank credits and marks every provider row with the
+    // outcome, so the three-way view can tell how far each transaction got
+    reconcileSettlements(results, providerData, bankData, context, settings) {
+        const matcher = new SettlementMatcher({ tolerance: context.tolerance, settlementDays: settings.settlementDays ?? 3 });
+        const settlement = matcher.match(providerData.filter(row => !row.carried_from), bankData);
+
+        results.settlements = settlement.settled;
+        results.settlement_mismatches = settlement.mismatched;
+        results.unsettled_payouts = settlement.unsettled;
+        results.bank_only = settlement.bank_only;
+
+        [['settled', settlement.settled], ['mismatch', settlement.mismatched], ['unsettled', settlement.unsettled]].forEach(([state, payouts]) => {
+            payouts.forEach(payout => {
+                payout.transactions.forEach(row => {
+                    row.settlement = { state, payout: payout.reference, bank_reference: payout.bank ? payout.bank.reference : '' };
+                });
+            });
+        });
+    }
+
+    // One entry per transaction with where it has been confirmed: in the ledger, at
+    // the provider and in the bank. Suggestions and duplicates are left out until
+    // someone has reviewed them.
+    threeWay(results) {
+        const entry = (reference, internal, provider) => {
+            const settlement = provider ? provider.settlement || null : null;
+            const txn = provider || internal;
+            let issue = null;
+            if (!internal) {
+                issue = 'missing_in_ledger';
+            } else if (!provider) {
+                issue = 'missing_at_provider';
+            } else if (settlement && settlement.state !== 'settled') {
+                issue = settlement.state === 'mismatch' ? 'settlement_mismatch' : 'unsettled';
+            }
+            return {
+                reference: reference || '',
+                amount_minor: txn.amount_minor,
+                currency: txn.currency,
+                date: txn.date,
+                date_ms: txn.date_ms,
+                status_state: txn.status_state,
+                in_ledger: Boolean(internal),
+                at_provider: Boolean(provider),
+                in_bank: Boolean(settlement && settlement.state !== 'unsettled'),
+                settlement: settlement ? settlement.state : null,
+                payout: settlement ? settlement.payout : '',
+                bank_reference: settlement ? settlement.bank_reference : '',
+                issue
+            };
+        };
+
+        return [
+            ...[...results.matched, ...results.mismatched, ...results.status_timing]
+                .map(match => entry(match.transaction_reference, match.internal, match.provider)),
+            ...results.groups.flatMap(group => [
+                ...group.internal.map(txn => entry(txn.reference, txn, group.provider[0])),
+                ...group.provider.map(txn => entry(txn.reference, group.internal[0], txn))
+            ]),
+            ...results.internal_only.map(txn => entry(txn.reference, txn, null)),
+            ...results.provider_only.map(txn => entry(txn.reference, null, txn)),
+            ...results.timing_differences.map(timing => timing.side === 'internal'
+                ? entry(timing.transaction.reference, timing.transaction, null)
+                : entry(timing.transaction.reference, null, timing.transaction))
+        ];
+    }
+
+    // Fills in fee and net amounts, deriving whichever of gross, fee and net is missing
+    normalizeFees(row) {
+        const fee = row.fee ? Money.parse(row.fee, row.currency).minor : null;
+        row.fee_minor = fee === null ? null : Math.abs(fee);
+        row.net_minor = row.net ? Money.parse(row.net, row.currency).minor : null;
+
+        if (!row.amount && row.net_minor !== null) {
+            row.amount_minor = row.net_minor + (row.fee_minor || 0);
+        }
+        if (row.fee_minor === null && row.net_minor !== null && row.amount_minor !== null && row.amount) {
+            row.fee_minor = row.amount_minor - row.net_minor;
+        }
+    }
+
+    groupByReference(rows) {
+        return this.groupByKey(rows, row => row.reference);
+    }
+
+    // Rows without a key are left out
+    groupByKey(rows, keyOf) {
+        const byKey = new Map();
+        rows.forEach(row => {
+            const key = keyOf(row);
+            if (key) {
+                if (!byKey.has(key)) {
+                    byKey.set(key, []);
+                }
+                byKey.get(key).push(row);
+            }
+        });
+        return byKey;
+    }
+
+    separateTimingDifferences(results, period) {
+        const boundaries = [
+            ['start', DateParser.parse(period.start, 'DMY')],
+            ['end', DateParser.parse(period.end, 'DMY')]
+        ].filter(([, timestamp]) => timestamp !== null);
+        const cutoffDays = Number(period.cutoffDays) || 0;
+
+        const nearestBoundary = txn => {
+            let nearest = null;
+            boundaries.forEach(([boundary, timestamp]) => {
+                const days = DateParser.daysBetween(txn.date_ms, timestamp);
+                if (days !== null && days <= cutoffDays && (!nearest || days < nearest.days)) {
+                    nearest = { boundary, days };
+                }
+            });
+            return nearest;
+        };
+
+        ['internal_only', 'provider_only'].forEach(category => {
+            const side = category === 'internal_only' ? 'internal' : 'provider';
+            results[category] = results[category].filter(txn => {
+                const nearest = nearestBoundary(txn);
+                if (!nearest) {
+                    return true;
+                }
+                results.timing_differences.push({
+                    side,
+                    transaction: txn,
+                    boundary: nearest.boundary,
+                    days_from_boundary: nearest.days
+                });
+                return false;
+            });
+        });
+    }
+
+    createMatchContext(settings = {}) {
+        return {
+            tolerance: new AmountTolerance(settings.tolerance),
+            fxTolerance: new AmountTolerance({ mode: 'percentage', percentage: settings.fxTolerance || 0 }),
+            fx: new FxRateTable(settings.fxRates || []),
+            statuses: new StatusNormalizer(settings.statusMap),
+            maxDateDrift: settings.maxDateDrift ?? 5,
+            compareBasis: settings.compareBasis || 'gross',
+            feeRule: new FeeRule(settings.feeRule),
+            feeTolerance: new AmountTolerance({ mode: 'absolute', absolute: settings.feeTolerance || '0.00' })
+        };
+    }
+
+    comparePair(internalTxn, providerTxn, ref, context) {
+        // Amounts are compared in the provider's currency
+        const currency = providerTxn.currency || internalTxn.currency;
+        const crossCurrency = internalTxn.currency && providerTxn.currency && internalTxn.currency !== providerTxn.currency;
+        let internalMinor = internalTxn.amount_minor;
+        let convertedAmount = null;
+        let fxRate = null;
+
+        if (crossCurrency) {
+            const rateDate = DateParser.toISODate(internalTxn.date_ms ?? providerTxn.date_ms);
+            const converted = context.fx.convert(internalTxn.amount_minor, internalTxn.currency, providerTxn.currency, rateDate);
+            internalMinor = converted ? converted.minor : null;
+            convertedAmount = internalMinor;
+            fxRate = converted ? converted.rate : null;
+        }
+
+        // Fees are charged on the provider's gross amount
+        const actualFee = providerTxn.fee_minor;
+        const expectedFee = context.feeRule.expected(providerTxn.amount_minor ?? internalMinor, currency);
+        const feeDeviation = actualFee !== null && expectedFee !== null ? actualFee - expectedFee : null;
+
+        // On a net basis the provider should pay out our gross amount less its fee
+        let expectedMinor = internalMinor;
+        let providerMinor = providerTxn.amount_minor;
+        if (context.compareBasis === 'net') {
+            const fee = expectedFee ?? actualFee ?? 0;
+            expectedMinor = internalMinor === null ? null : internalMinor - fee;
+            providerMinor = providerTxn.net_minor ?? (providerTxn.amount_minor === null ? null : providerTxn.amount_minor - (actualFee || 0));
+        }
+
+        const amountMatch = context.ignoreAmount || (crossCurrency ? context.fxTolerance : context.tolerance).allows(expectedMinor, providerMinor, currency);
+
+        // Signed difference in minor units: positive when the provider reports more
+        const variance = expectedMinor !== null && providerMinor !== null
+            ? providerMinor - expectedMinor
+            : null;
+
+        // Identical raw statuses always agree; otherwise compare canonical states
+        // unless the matching rules ask for the raw values to be equal
+        const comparator = context.statusComparator || 'state';
+        let statusResult = 'match';
+        if (comparator !== 'ignore' && StatusNormalizer.clean(internalTxn.status) !== StatusNormalizer.clean(providerTxn.status)) {
+            statusResult = comparator === 'exact'
+                ? 'conflict'
+                : context.statuses.compare(internalTxn.status_state, providerTxn.status_state);
+        }
+        const statusMatch = statusResult === 'match';
+
+        const dateDrift = DateParser.daysBetween(internalTxn.date_ms, providerTxn.date_ms);
+        const dateMatch = dateDrift === null || dateDrift <= context.maxDateDrift;
+
+        return {
+            transaction_reference: ref,
+            internal: internalTxn,
+            provider: providerTxn,
+            currency,
+            converted_amount: convertedAmount,
+            fx_rate: fxRate,
+            variance,
+            amount_match: amountMatch,
+            status_match: statusMatch,
+            status_result: statusResult,
+            date_drift_days: dateDrift,
+            date_match: dateMatch,
+            compare_basis: context.compareBasis,
+            actual_fee: actualFee,
+            expected_fee: expectedFee,
+            fee_deviation: feeDeviation,
+            fee_unexpected: feeDeviation !== null && !context.feeTolerance.allows(expectedFee, actualFee, currency),
+            fully_matched: amountMatch && statusMatch && dateMatch
+        };
+    }
+
+    categorizePair(results, matchData) {
+        if (matchData.fee_unexpected) {
+            results.fee_deviations.push(matchData);
+        }
+
+        if (matchData.fully_matched) {
+            results.matched.push(matchData);
+        } else if (matchData.amount_match && matchData.date_match && matchData.status_result === 'timing') {
+            results.status_timing.push(matchData);
+        } else {
+            results.mismatched.push(matchData);
+        }
+    }
+
+    updateSummary(results) {
+        Object.assign(results.summary, {
+            matched_count: results.matched.length,
+            mismatched_count: results.mismatched.length,
+            status_timing_count: results.status_timing.length,
+            timing_difference_count: results.timing_differences.length,
+            suggested_count: results.suggested.length,
+            group_count: results.groups.length,
+            duplicate_count: results.duplicates.length,
+            internal_only_count: results.internal_only.length,
+            provider_only_count: results.provider_only.length,
+            carried_open_count: [...results.internal_only, ...results.provider_only].filter(row => row.carried_from).length,
+            fee_deviation_count: results.fee_deviations.length,
+            variance_totals: this.varianceTotals(results.mismatched),
+            fee_totals: this.feeTotals([...results.matched, ...results.mismatched, ...results.status_timing])
+        });
+
+        // The three-way view follows the categories, so it is rebuilt along with the counts
+        if (results.summary.total_bank !== null && results.summary.total_bank !== undefined) {
+            results.three_way = this.threeWay(results);
+            Object.assign(results.summary, {
+                settlement_count: results.settlements.length,
+                settlement_mismatch_count: results.settlement_mismatches.length,
+                unsettled_payout_count: results.unsettled_payouts.length,
+                bank_only_count: results.bank_only.length,
+                three_way_confirmed_count: results.three_way.filter(entry => entry.in_ledger && entry.at_provider && entry.in_bank && !entry.issue).length
+            });
+        }
+    }
+
+    // Fees the provider charged against what the fee rule expected, per currency
+    feeTotals(pairs) {
+        const totals = new Map();
+        pairs.forEach(match => {
+            if (match.actual_fee === null && match.expected_fee === null) {
+                return;
+            }
+            const total = totals.get(match.currency) || { currency: match.currency, charged: 0, expected: 0 };
+            total.charged += match.actual_fee || 0;
+            total.expected += match.expected_fee || 0;
+            totals.set(match.currency, total);
+        });
+        return [...totals.values()];
+    }
+
+    // Net and absolute variance per currency, since amounts in different currencies can't be summed
+    varianceTotals(pairs) {
+        const totals = new Map();
+        pairs.forEach(match => {
+            if (match.variance === null) {
+                return;
+            }
+            const total = totals.get(match.currency) || { currency: match.currency, net: 0, absolute: 0 };
+            total.net += match.variance;
+            total.absolute += Math.abs(match.variance);
+            totals.set(match.currency, total);
+        });
+        return [...totals.values()];
+    }
+}
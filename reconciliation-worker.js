@@ -0,0 +1,35 @@
+// Runs parse and reconcile jobs off the main thread so large files don't freeze
+// the page. Messages in: a job for ReconciliationEngine.run. Messages out:
+// progress, done or error.
+importScripts(
+    'csv-parser.js',
+    'xml-reader.js',
+    'zip-reader.js',
+    'importers.js',
+    'money.js',
+    'date-parser.js',
+    'fx-rates.js',
+    'status-map.js',
+    'fee-rules.js',
+    'column-mapping.js',
+    'match-rules.js',
+    'data-quality.js',
+    'fuzzy-matcher.js',
+    'group-matcher.js',
+    'settlement-matcher.js',
+    'reconciliation-engine.js'
+);
+
+self.onmessage = async (event) => {
+    const job = event.data;
+    const engine = new ReconciliationEngine({
+        onProgress: progress => self.postMessage({ type: 'progress', progress })
+    });
+
+    try {
+        const result = await engine.run(job);
+        self.postMessage({ type: 'done', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
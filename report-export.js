@@ -0,0 +1,345 @@
+// Whole-run reports for auditors: an XLSX workbook with a summary sheet and one
+// sheet per category (every canonical field and original column from both sides),
+// a JSON dump of the results, and a printable sign-off report.
+class ReconciliationReport {
+    // resolutionFor(category, row): the exception resolution recorded for a row, if any
+    constructor(results, options = {}) {
+        this.results = results;
+        this.resolutionFor = options.resolutionFor || (() => null);
+    }
+
+    static get CATEGORIES() {
+        return [
+            ['matched', 'Perfect Matches'],
+            ['mismatched', 'Mismatched'],
+            ['status_timing', 'Pending vs Settled'],
+            ['timing_differences', 'Timing Differences'],
+            ['fee_deviations', 'Fee Deviations'],
+            ['suggested', 'Suggested Matches'],
+            ['groups', 'Group Matches'],
+            ['duplicates', 'Duplicates'],
+            ['internal_only', 'Internal Only'],
+            ['provider_only', 'Provider Only'],
+            ['three_way', 'Three-Way Status'],
+            ['settlements', 'Settled Payouts'],
+            ['settlement_mismatches', 'Settlement Mismatches'],
+            ['unsettled_payouts', 'Unsettled Payouts'],
+            ['bank_only', 'Bank Only'],
+            ['rejected', 'Rejected Rows'],
+            ['excluded', 'Excluded Rows']
+        ];
+    }
+
+    // Only three-way runs (with a bank statement) have these
+    static get BANK_CATEGORIES() {
+        return ['three_way', 'settlements', 'settlement_mismatches', 'unsettled_payouts', 'bank_only'];
+    }
+
+    static amount(minor, currency) {
+        return minor === null || minor === undefined ? '' : Number(Money.toDecimal(minor, currency));
+    }
+
+    static yesNo(value) {
+        return value ? 'Yes' : 'No';
+    }
+
+    // Columns for one side's transaction: canonical fields, parsed values, then every original column
+    static transactionColumns(label, rows, pick) {
+        const rawColumns = new Set();
+        rows.forEach(row => {
+            const txn = pick(row);
+            if (txn && txn.raw) {
+                Object.keys(txn.raw).forEach(column => rawColumns.add(column));
+            }
+        });
+
+        const value = read => row => {
+            const txn = pick(row);
+            return txn ? read(txn) : '';
+        };
+
+        return [
+            { header: `${label} Line`, value: value(txn => txn.line ?? '') },
+            ...ColumnMapper.FIELDS.map(field => ({ header: `${label} ${field.label}`, value: value(txn => txn[field.key] || '') })),
+            { header: `${label} Parsed Amount`, value: value(txn => ReconciliationReport.amount(txn.amount_minor, txn.currency)) },
+            { header: `${label} Status State`, value: value(txn => txn.status_state || '') },
+            { header: `${label} Parsed Date`, value: value(txn => DateParser.toISODate(txn.date_ms)) },
+            ...[...rawColumns].map(column => ({ header: `${label} [${column}]`, value: value(txn => (txn.raw || {})[column] ?? '') }))
+        ];
+    }
+
+    resolutionColumns(category) {
+        if (!ExceptionStore.CATEGORIES.includes(category)) {
+            return [];
+        }
+        const field = key => row => (this.resolutionFor(category, row) || {})[key] || '';
+        return [
+            { header: 'Resolution', value: row => ExceptionStore.STATES[(this.resolutionFor(category, row) || {}).state || 'open'] },
+            { header: 'Reason Code', value: field('reason') },
+            { header: 'Notes', value: field('notes') },
+            { header: 'Assignee', value: field('assignee') }
+        ];
+    }
+
+    columnsFor(category, rows) {
+        const pairColumns = () => [
+            { header: 'Transaction Reference', value: match => match.transaction_reference },
+            { header: 'Match Rule', value: match => match.match_rule || '' },
+            { header: 'Currency', value: match => match.currency || '' },
+            { header: 'Converted Internal Amount', value: match => ReconciliationReport.amount(match.converted_amount, match.currency) },
+            { header: 'FX Rate', value: match => match.fx_rate || '' },
+            { header: 'Compared On', value: match => match.compare_basis === 'net' ? 'Net' : 'Gross' },
+            { header: 'Variance', value: match => ReconciliationReport.amount(match.variance, match.currency) },
+            { header: 'Fee Charged', value: match => ReconciliationReport.amount(match.actual_fee, match.currency) },
+            { header: 'Expected Fee', value: match => ReconciliationReport.amount(match.expected_fee, match.currency) },
+            { header: 'Fee Deviation', value: match => ReconciliationReport.amount(match.fee_deviation, match.currency) },
+            { header: 'Amount Match', value: match => ReconciliationReport.yesNo(match.amount_match) },
+            { header: 'Status Match', value: match => ReconciliationReport.yesNo(match.status_match) },
+            { header: 'Date Match', value: match => ReconciliationReport.yesNo(match.date_match) },
+            { header: 'Date Drift (Days)', value: match => match.date_drift_days ?? '' },
+            ...ReconciliationReport.transactionColumns('Internal', rows, match => match.internal),
+            ...ReconciliationReport.transactionColumns('Provider', rows, match => match.provider),
+            ...this.resolutionColumns(category)
+        ];
+
+        switch (category) {
+            case 'matched':
+            case 'mismatched':
+            case 'status_timing':
+            case 'fee_deviations':
+                return pairColumns();
+            case 'timing_differences':
+                return [
+                    { header: 'Found In', value: timing => timing.side === 'internal' ? 'Internal' : 'Provider' },
+                    { header: 'Near Period', value: timing => timing.boundary },
+                    { header: 'Days From Boundary', value: timing => timing.days_from_boundary },
+                    ...ReconciliationReport.transactionColumns('Transaction', rows, timing => timing.transaction)
+                ];
+            case 'suggested':
+                return [
+                    { header: 'Confidence', value: suggestion => Math.round(suggestion.confidence * 100) / 100 },
+                    { header: 'Reasons', value: suggestion => suggestion.reasons.join('; ') },
+                    ...ReconciliationReport.transactionColumns('Internal', rows, suggestion => suggestion.internal),
+                    ...ReconciliationReport.transactionColumns('Provider', rows, suggestion => suggestion.provider)
+                ];
+            case 'groups':
+                return [
+                    { header: 'Group', value: member => member.group.key || '' },
+                    { header: 'Method', value: member => member.group.method === 'batch_id' ? 'Batch ID' : 'Amount Sum' },
+                    { header: 'Currency', value: member => member.group.currency || '' },
+                    { header: 'Internal Total', value: member => ReconciliationReport.amount(member.group.internal_total, member.group.currency) },
+                    { header: 'Provider Total', value: member => ReconciliationReport.amount(member.group.provider_total, member.group.currency) },
+                    { header: 'Difference', value: member => ReconciliationReport.amount(member.group.difference, member.group.currency) },
+                    { header: 'Side', value: member => member.side },
+                    ...ReconciliationReport.transactionColumns('Transaction', rows, member => member.txn)
+                ];
+            case 'duplicates':
+                return [
+                    { header: 'Duplicated Reference', value: member => member.reference },
+                    { header: 'Side', value: member => member.side },
+                    ...ReconciliationReport.transactionColumns('Transaction', rows, member => member.txn)
+                ];
+            case 'three_way':
+                return [
+                    { header: 'Transaction Reference', value: entry => entry.reference },
+                    { header: 'Amount', value: entry => ReconciliationReport.amount(entry.amount_minor, entry.currency) },
+                    { header: 'Currency', value: entry => entry.currency || '' },
+                    { header: 'Date', value: entry => entry.date || '' },
+                    { header: 'In Ledger', value: entry => ReconciliationReport.yesNo(entry.in_ledger) },
+                    { header: 'At Provider', value: entry => ReconciliationReport.yesNo(entry.at_provider) },
+                    { header: 'In Bank', value: entry => ReconciliationReport.yesNo(entry.in_bank) },
+                    { header: 'Settlement', value: entry => entry.settlement || '' },
+                    { header: 'Payout', value: entry => entry.payout },
+                    { header: 'Bank Reference', value: entry => entry.bank_reference },
+                    { header: 'Break', value: entry => entry.issue || '' }
+                ];
+            case 'settlements':
+            case 'settlement_mismatches':
+            case 'unsettled_payouts':
+                return [
+                    { header: 'Payout', value: payout => payout.reference },
+                    { header: 'Grouped By', value: payout => payout.method === 'batch_id' ? 'Batch ID' : 'Transaction' },
+                    { header: 'Transactions', value: payout => payout.transactions.length },
+                    { header: 'Provider References', value: payout => payout.transactions.map(txn => txn.reference || `line ${txn.line}`).join('; ') },
+                    { header: 'Currency', value: payout => payout.currency || '' },
+                    { header: 'Expected Amount', value: payout => ReconciliationReport.amount(payout.expected_minor, payout.currency) },
+                    { header: 'Bank Amount', value: payout => ReconciliationReport.amount(payout.bank_minor, payout.currency) },
+                    { header: 'Variance', value: payout => ReconciliationReport.amount(payout.variance, payout.currency) },
+                    { header: 'Linked By', value: payout => payout.match_method || '' },
+                    { header: 'Payout Date', value: payout => DateParser.toISODate(payout.date_ms) },
+                    { header: 'Days to Bank', value: payout => payout.lag_days ?? '' },
+                    ...ReconciliationReport.transactionColumns('Bank', rows, payout => payout.bank),
+                    ...this.resolutionColumns(category)
+                ];
+            case 'rejected':
+            case 'excluded':
+                return [
+                    { header: 'Source', value: row => row.source },
+                    { header: 'Line', value: row => row.line },
+                    { header: 'Reason', value: row => row.reason },
+                    { header: 'Raw Row', value: row => row.raw }
+                ];
+            default:
+                return [
+                    ...ReconciliationReport.transactionColumns('Transaction', rows, txn => txn),
+                    { header: 'Carried Forward From', value: txn => txn.carried_from ? txn.carried_from.reconciled_at : '' },
+                    ...this.resolutionColumns(category)
+                ];
+        }
+    }
+
+    // Groups and duplicates hold several transactions per entry, so they get one sheet row per transaction
+    rowsFor(category) {
+        const data = this.results[category] || [];
+        if (category === 'groups') {
+            return data.flatMap(group => [
+                ...group.internal.map(txn => ({ group, side: 'Internal', txn })),
+                ...group.provider.map(txn => ({ group, side: 'Provider', txn }))
+            ]);
+        }
+        if (category === 'duplicates') {
+            return data.flatMap(duplicate => [
+                ...duplicate.internal.map(txn => ({ reference: duplicate.reference, side: 'Internal', txn })),
+                ...duplicate.provider.map(txn => ({ reference: duplicate.reference, side: 'Provider', txn }))
+            ]);
+        }
+        return data;
+    }
+
+    summaryRows() {
+        const { run = {}, summary, settings = {} } = this.results;
+        const tolerance = settings.tolerance || {};
+        const threeWay = summary.total_bank !== null && summary.total_bank !== undefined;
+
+        const rows = [
+            ['Item', 'Value'],
+            ['Internal file', run.internal_file || ''],
+            ['Provider file', run.provider_file || ''],
+            ...(run.bank_file ? [['Bank file', run.bank_file]] : []),
+            ['Reconciled at', run.reconciled_at || ''],
+            ['Run ID', run.id || ''],
+            ...this.parameterRows(settings, tolerance),
+            ...(threeWay ? [['Bank settlement window (days)', settings.settlementDays ?? '']] : []),
+            [],
+            ['Internal transactions', summary.total_internal],
+            ['Provider transactions', summary.total_provider],
+            ...(threeWay ? [
+                ['Bank transactions', summary.total_bank],
+                ['Confirmed in ledger, provider and bank', summary.three_way_confirmed_count]
+            ] : []),
+            ...ReconciliationReport.CATEGORIES
+                .filter(([category]) => threeWay || !ReconciliationReport.BANK_CATEGORIES.includes(category))
+                .map(([category, label]) => [label, (this.results[category] || []).length]),
+            ['Open exceptions', ExceptionStore.CATEGORIES
+                .flatMap(category => (this.results[category] || []).filter(row => !ExceptionStore.isClosed(this.resolutionFor(category, row))))
+                .length],
+            ...summary.variance_totals.flatMap(total => [
+                [`Net variance (${total.currency || 'no currency'})`, ReconciliationReport.amount(total.net, total.currency)],
+                [`Absolute variance (${total.currency || 'no currency'})`, ReconciliationReport.amount(total.absolute, total.currency)]
+            ]),
+            ...(summary.fee_totals || []).flatMap(total => [
+                [`Fees charged (${total.currency || 'no currency'})`, ReconciliationReport.amount(total.charged, total.currency)],
+                [`Fees expected (${total.currency || 'no currency'})`, ReconciliationReport.amount(total.expected, total.currency)]
+            ])
+        ];
+        return rows;
+    }
+
+    parameterRows(settings, tolerance) {
+        const toleranceText = tolerance.mode === 'percentage'
+            ? `${tolerance.percentage || 0}%`
+            : tolerance.mode === 'per_currency'
+                ? Object.entries(tolerance.perCurrency || {}).map(([currency, amount]) => `${currency}=${amount}`).join(', ') || 'none'
+                : tolerance.absolute || '0.00';
+        const period = settings.period || {};
+        const feeRule = settings.feeRule || {};
+        const profile = settings.matchProfile || MatchRules.DEFAULT_PROFILE;
+
+        return [
+            ['Amount tolerance', `${toleranceText} (${tolerance.mode || 'absolute'})`],
+            ['FX tolerance', `${settings.fxTolerance || 0}%`],
+            ['FX rates loaded', (settings.fxRates || []).length],
+            ['Date format', settings.dateFormat || 'auto'],
+            ['Maximum date drift (days)', settings.maxDateDrift ?? ''],
+            ['Period', `${period.start || '…'} to ${period.end || '…'} (cut-off ${period.cutoffDays || 0} days)`],
+            ['Matching rules', `${profile.name} (${profile.passes.map(pass => pass.name).join(', ')})`],
+            ['Compared on', settings.compareBasis === 'net' ? 'Net of fees' : 'Gross amount'],
+            ['Fee rule', feeRule.percentage || feeRule.fixed ? `${feeRule.percentage || 0}% + ${feeRule.fixed || '0'}` : 'none'],
+            ['Carry forward', ReconciliationReport.yesNo(settings.carryForward)]
+        ];
+    }
+
+    workbook() {
+        const writer = new XlsxWriter();
+        writer.addSheet('Summary', this.summaryRows());
+
+        ReconciliationReport.CATEGORIES.forEach(([category, label]) => {
+            const rows = this.rowsFor(category);
+            if (rows.length === 0) {
+                return;
+            }
+            const columns = this.columnsFor(category, rows);
+            writer.addSheet(label, [
+                columns.map(column => column.header),
+                ...rows.map(row => columns.map(column => column.value(row)))
+            ]);
+        });
+
+        return writer.build();
+    }
+
+    json() {
+        return JSON.stringify(this.results, null, 2);
+    }
+
+    // A standalone page meant to be printed (or saved as PDF) and signed off
+    signOffHtml() {
+        const table = rows => `
+            <table>
+                ${rows.filter(row => row.length > 0).map(([label, value]) => `<tr><th>${SafeHtml.escape(label)}</th><td>${SafeHtml.escape(value)}</td></tr>`).join('')}
+            </table>
+        `;
+        const [, ...summary] = this.summaryRows();
+        const split = summary.findIndex(row => row.length === 0);
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Reconciliation Sign-off — ${SafeHtml.escape((this.results.run || {}).reconciled_at || '')}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #2c3e50; margin: 40px; }
+        h1 { font-size: 1.6rem; margin-bottom: 5px; }
+        h2 { font-size: 1.1rem; margin-top: 30px; border-bottom: 2px solid #2c3e50; padding-bottom: 4px; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ddd; font-size: 0.9rem; }
+        th { width: 40%; font-weight: 600; }
+        .signatures { display: grid; grid-template-columns: repeat(3, 1fr); gap: 30px; margin-top: 20px; }
+        .signature { border-top: 1px solid #2c3e50; padding-top: 6px; margin-top: 60px; font-size: 0.85rem; }
+        @media print { body { margin: 15mm; } }
+    </style>
+</head>
+<body>
+    <h1>Transaction Reconciliation Report</h1>
+    <p>Generated ${SafeHtml.escape(new Date().toLocaleString())}</p>
+
+    <h2>Run Parameters</h2>
+    ${table(summary.slice(0, split))}
+
+    <h2>Totals</h2>
+    ${table(summary.slice(split + 1))}
+
+    <h2>Approval</h2>
+    <p>The undersigned have reviewed the results above and the treatment of every open exception.</p>
+    <div class="signatures">
+        ${['Prepared by', 'Reviewed by', 'Approved by'].map(role => `
+            <div>
+                <div class="signature">${role} — name and signature</div>
+                <div class="signature">Date</div>
+            </div>
+        `).join('')}
+    </div>
+</body>
+</html>`;
+    }
+}
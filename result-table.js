@@ -0,0 +1,263 @@
+// A result table that only renders the rows scrolled into view, with sortable
+// columns, a text search and status, amount and date range filters. Each row is
+// reduced to its underlying transactions (one for orphans, two for pairs) and a
+// row passes a filter when any of those transactions does.
+class ResultTable {
+    // columns: [{ label, render(row) -> text or SafeHtml, sort(row) -> value }]
+    // transactions(row): the canonical transactions behind a row
+    // state: filter and sort state, kept by the caller so it survives re-renders
+    // onRowClick(row): optional, makes rows clickable
+    // isOpen(row): optional, adds an "Unresolved only" toggle for exception rows
+    // onChange(): optional, called whenever the filtered rows may have changed
+    // mask(field, value, txn): optional, the value as the table shows it when masking is on
+    // rowHeight: every row is this high; cells are kept to one line (see style.css)
+    constructor(container, options) {
+        this.container = container;
+        this.rows = options.rows;
+        this.columns = options.columns;
+        this.transactions = options.transactions;
+        this.emptyMessage = options.emptyMessage || 'No rows';
+        this.onRowClick = options.onRowClick || null;
+        this.isOpen = options.isOpen || null;
+        this.onChange = options.onChange || null;
+        this.mask = options.mask || ((field, value) => value);
+        this.rowHeight = options.rowHeight || 56;
+        this.height = options.height || 480;
+        this.state = Object.assign(options.state || {}, { ...ResultTable.EMPTY_STATE, ...options.state });
+        this.visible = null;
+        this.searchTimer = null;
+
+        this.mount();
+    }
+
+    static get EMPTY_STATE() {
+        return { search: '', status: '', minAmount: '', maxAmount: '', dateFrom: '', dateTo: '', unresolvedOnly: false, sortColumn: null, sortDescending: false };
+    }
+
+    mount() {
+        const statuses = ['', ...StatusNormalizer.STATES, 'unknown'];
+
+        this.container.innerHTML = `
+            <div class="table-filters">
+                <input type="search" data-filter="search" placeholder="Search reference, description, counterparty...">
+                <select data-filter="status">
+                    ${statuses.map(state => `<option value="${state}">${state ? state.charAt(0).toUpperCase() + state.slice(1) : 'Any status'}</option>`).join('')}
+                </select>
+                <input type="text" data-filter="minAmount" placeholder="Min amount" inputmode="decimal">
+                <input type="text" data-filter="maxAmount" placeholder="Max amount" inputmode="decimal">
+                <input type="date" data-filter="dateFrom" title="From date">
+                <input type="date" data-filter="dateTo" title="To date">
+                ${this.isOpen ? '<label class="table-toggle"><input type="checkbox" data-filter="unresolvedOnly"> Unresolved only</label>' : ''}
+                <span class="table-count"></span>
+            </div>
+            <div class="table-container virtual-table" style="max-height: ${this.height}px;">
+                <table>
+                    <thead>
+                        <tr>
+                            ${this.columns.map((column, index) => `<th class="${column.sort ? 'sortable' : ''}" data-column="${index}">${SafeHtml.escape(column.label)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+        `;
+
+        this.viewport = this.container.querySelector('.virtual-table');
+        this.body = this.container.querySelector('tbody');
+        this.count = this.container.querySelector('.table-count');
+
+        this.container.querySelectorAll('[data-filter]').forEach(input => {
+            const checkbox = input.type === 'checkbox';
+            if (checkbox) {
+                input.checked = this.state[input.dataset.filter];
+            } else {
+                input.value = this.state[input.dataset.filter];
+            }
+            const update = () => {
+                this.state[input.dataset.filter] = checkbox ? input.checked : input.value;
+                this.refresh();
+            };
+            if (input.dataset.filter === 'search') {
+                // Searching 500k rows on every keystroke is noticeable, so wait for a pause
+                input.addEventListener('input', () => {
+                    clearTimeout(this.searchTimer);
+                    this.searchTimer = setTimeout(update, 200);
+                });
+            } else {
+                input.addEventListener('change', update);
+            }
+        });
+
+        this.container.querySelectorAll('th.sortable').forEach(header => {
+            header.addEventListener('click', () => this.sortBy(Number(header.dataset.column)));
+        });
+
+        if (this.onRowClick) {
+            this.body.addEventListener('click', (event) => {
+                const row = event.target.closest('tr[data-row]');
+                if (row) {
+                    this.onRowClick(this.visibleRows()[Number(row.dataset.row)]);
+                }
+            });
+        }
+
+        this.viewport.addEventListener('scroll', () => {
+            if (!this.frame) {
+                this.frame = requestAnimationFrame(() => {
+                    this.frame = null;
+                    this.renderRows();
+                });
+            }
+        });
+
+        this.refresh();
+    }
+
+    sortBy(columnIndex) {
+        if (this.state.sortColumn === columnIndex) {
+            this.state.sortDescending = !this.state.sortDescending;
+        } else {
+            this.state.sortColumn = columnIndex;
+            this.state.sortDescending = false;
+        }
+        this.refresh();
+    }
+
+    // keepScroll: re-apply filters without jumping back to the top, e.g. after a row was edited
+    refresh(keepScroll = false) {
+        this.visible = null;
+        if (!keepScroll) {
+            this.viewport.scrollTop = 0;
+        }
+
+        this.container.querySelectorAll('th[data-column]').forEach(header => {
+            const sorted = Number(header.dataset.column) === this.state.sortColumn;
+            header.classList.toggle('sorted-asc', sorted && !this.state.sortDescending);
+            header.classList.toggle('sorted-desc', sorted && this.state.sortDescending);
+        });
+
+        const visible = this.visibleRows();
+        this.count.textContent = visible.length === this.rows.length
+            ? `${this.rows.length.toLocaleString()} rows`
+            : `${visible.length.toLocaleString()} of ${this.rows.length.toLocaleString()} rows`;
+        this.renderRows();
+
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    // Rows passing the current filters, in the current sort order
+    visibleRows() {
+        if (this.visible) {
+            return this.visible;
+        }
+
+        const filter = this.buildFilter();
+        const unresolvedOnly = this.isOpen && this.state.unresolvedOnly;
+        let visible = this.rows.filter(row => (!unresolvedOnly || this.isOpen(row)) && filter(this.transactions(row)));
+
+        const column = this.columns[this.state.sortColumn];
+        if (column && column.sort) {
+            const direction = this.state.sortDescending ? -1 : 1;
+            const keyed = visible.map(row => ({ row, key: column.sort(row) }));
+            keyed.sort((a, b) => ResultTable.compare(a.key, b.key) * direction);
+            visible = keyed.map(entry => entry.row);
+        }
+
+        this.visible = visible;
+        return visible;
+    }
+
+    // Empty values sort last; numbers numerically; text naturally ("INV-9" before "INV-10")
+    static compare(a, b) {
+        const aEmpty = a === null || a === undefined || a === '';
+        const bEmpty = b === null || b === undefined || b === '';
+        if (aEmpty || bEmpty) {
+            return aEmpty === bEmpty ? 0 : aEmpty ? 1 : -1;
+        }
+        if (typeof a === 'number' && typeof b === 'number') {
+            return a - b;
+        }
+        return a.toString().localeCompare(b.toString(), undefined, { numeric: true, sensitivity: 'base' });
+    }
+
+    buildFilter() {
+        const search = this.state.search.trim().toLowerCase();
+        const status = this.state.status;
+        const minAmount = this.state.minAmount.trim();
+        const maxAmount = this.state.maxAmount.trim();
+        const dateFrom = DateParser.parse(this.state.dateFrom);
+        const dateTo = DateParser.parse(this.state.dateTo);
+        const dateToEnd = dateTo === null ? null : dateTo + 86400000 - 1;
+
+        // Amount bounds depend on each transaction's currency, so parse once per currency
+        const bounds = new Map();
+        const boundsFor = currency => {
+            if (!bounds.has(currency)) {
+                bounds.set(currency, {
+                    min: minAmount ? Money.parse(minAmount, currency).minor : null,
+                    max: maxAmount ? Money.parse(maxAmount, currency).minor : null
+                });
+            }
+            return bounds.get(currency);
+        };
+
+        // Filters only see what the table shows. Otherwise a masked card number or email
+        // could be confirmed from a shared screen by narrowing the search a character at a time.
+        const shown = (field, txn) => this.mask(field, txn[field], txn);
+        const hidden = (field, txn) => shown(field, txn) !== txn[field];
+
+        const matches = txn => {
+            if (status && (txn.status_state !== status || hidden('status', txn))) {
+                return false;
+            }
+            if (minAmount || maxAmount) {
+                const { min, max } = boundsFor(txn.currency);
+                if (txn.amount_minor === null || hidden('amount', txn) || (min !== null && txn.amount_minor < min) || (max !== null && txn.amount_minor > max)) {
+                    return false;
+                }
+            }
+            if (dateFrom !== null || dateToEnd !== null) {
+                if (txn.date_ms === null || hidden('date', txn) || (dateFrom !== null && txn.date_ms < dateFrom) || (dateToEnd !== null && txn.date_ms > dateToEnd)) {
+                    return false;
+                }
+            }
+            if (search) {
+                const text = ['reference', 'description', 'counterparty', 'batch_id', 'status', 'amount', 'date'].map(field => shown(field, txn)).join(' ').toLowerCase();
+                if (!text.includes(search)) {
+                    return false;
+                }
+            }
+            return true;
+        };
+
+        return transactions => transactions.some(txn => txn && matches(txn));
+    }
+
+    renderRows() {
+        const visible = this.visibleRows();
+        const columnCount = this.columns.length;
+
+        if (visible.length === 0) {
+            const message = this.rows.length === 0 ? this.emptyMessage : 'No rows match the current filters';
+            this.body.innerHTML = `<tr><td colspan="${columnCount}" style="text-align: center; color: #666;">${SafeHtml.escape(message)}</td></tr>`;
+            return;
+        }
+
+        // Render the rows in view plus a small overscan; spacer rows keep the scrollbar honest
+        const overscan = 10;
+        const first = Math.max(0, Math.floor(this.viewport.scrollTop / this.rowHeight) - overscan);
+        const last = Math.min(visible.length, Math.ceil((this.viewport.scrollTop + this.height) / this.rowHeight) + overscan);
+
+        const spacer = rows => rows > 0 ? `<tr class="virtual-spacer" style="height: ${rows * this.rowHeight}px;"><td colspan="${columnCount}"></td></tr>` : '';
+
+        this.body.innerHTML = spacer(first)
+            + visible.slice(first, last).map((row, offset) => `
+                <tr style="height: ${this.rowHeight}px;" ${this.onRowClick ? `class="clickable" data-row="${first + offset}"` : ''}>
+                    ${this.columns.map(column => `<td>${SafeHtml.render(column.render(row))}</td>`).join('')}
+                </tr>
+            `).join('')
+            + spacer(visible.length - last);
+    }
+}
@@ -0,0 +1,67 @@
+// Past reconciliation runs kept in IndexedDB: a summary per run for the history
+// view and comparisons, plus the categorized results so a run can be reopened and
+// its unresolved orphans carried into the next one.
+class RunHistory {
+    constructor(dbName = 'reconciliation') {
+        this.dbName = dbName;
+    }
+
+    transaction(storeNames, mode, work) {
+        return ReconciliationDB.transaction(this.dbName, storeNames, mode, work);
+    }
+
+    // The same pair of files (plus the bank statement, if any) always produces the same
+    // run ID, so resolutions recorded against a run are picked up again when those
+    // files are reconciled after a reload
+    static runId(internalFile, providerFile, bankFile = null) {
+        const identity = [internalFile, providerFile, bankFile].filter(Boolean).map(file => `${file.name}|${file.size}|${file.lastModified}`).join('::');
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < identity.length; i++) {
+            hash ^= identity.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return `run-${hash.toString(16).padStart(8, '0')}`;
+    }
+
+    static entry(results) {
+        return {
+            id: results.run.id,
+            internal_file: results.run.internal_file,
+            provider_file: results.run.provider_file,
+            bank_file: results.run.bank_file || '',
+            reconciled_at: results.run.reconciled_at,
+            summary: results.summary
+        };
+    }
+
+    // Most recent first
+    async list() {
+        const runs = await this.transaction('runs', 'readonly', store => store.getAll());
+        return runs.sort((a, b) => b.reconciled_at.localeCompare(a.reconciled_at));
+    }
+
+    async save(results) {
+        await this.transaction(['runs', 'run_results'], 'readwrite', (runs, transaction) => {
+            transaction.objectStore('run_results').put({ id: results.run.id, results });
+            return runs.put(RunHistory.entry(results));
+        });
+    }
+
+    async results(id) {
+        const record = await this.transaction('run_results', 'readonly', store => store.get(id));
+        return record ? record.results : null;
+    }
+
+    async remove(id) {
+        await this.transaction(['runs', 'run_results'], 'readwrite', (runs, transaction) => {
+            transaction.objectStore('run_results').delete(id);
+            return runs.delete(id);
+        });
+    }
+
+    // The latest run other than the given one, i.e. the run to carry items forward from
+    async previous(excludeId) {
+        const runs = await this.list();
+        return runs.find(run => run.id !== excludeId) || null;
+    }
+}
@@ -0,0 +1,37 @@
+// Markup built from file contents. SafeHtml.html`...` escapes every interpolated
+// value unless it is markup made by SafeHtml.html itself, so a reference or status
+// such as <img onerror=...> is shown as text instead of becoming an element.
+// Arrays are joined, so rows can be mapped inside a template.
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+
+    static escape(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    static html(strings, ...values) {
+        return new SafeHtml(strings.reduce((markup, string, index) => markup + SafeHtml.render(values[index - 1]) + string));
+    }
+
+    // Markup for any value: SafeHtml as it is, everything else escaped as text
+    static render(value) {
+        if (value instanceof SafeHtml) {
+            return value.markup;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => SafeHtml.render(item)).join('');
+        }
+        return SafeHtml.escape(value);
+    }
+}
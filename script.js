@@ -1,7 +1,28 @@
 class ReconciliationTool {
+    // The data-quality step lists this many problems; its CSV export has them all
+    static get VALIDATION_ROWS_SHOWN() {
+        return 500;
+    }
+
     constructor() {
         this.currentResults = null; 
+        this.pendingInputs = null;
+        this.activeJob = null;
+        this.resultTables = {};
+        this.tableFilters = {};
+        this.exceptionStore = new ExceptionStore();
+        this.runHistory = new RunHistory();
+        this.resolutions = new Map();
+        this.detailTarget = null;
+        this.engine = new ReconciliationEngine();
+        this.mappingProfiles = new MappingProfiles();
+        this.matchProfiles = new MatchProfiles();
+        this.statusNormalizer = new StatusNormalizer(this.loadStatusOverrides());
+        this.masker = new PiiMasker();
+        this.exportMasker = null;
         this.initializeEventListeners();
+        this.loadMaskingSettings();
+        this.renderMatchProfiles(localStorage.getItem('reconciliation.matchProfile') || '');
     }
 
     initializeEventListeners() {
@@ -14,11 +35,62 @@ class ReconciliationTool {
             this.handleFileSelect(e, 'providerFileName');
         });
 
+        document.getElementById('bankFile').addEventListener('change', (e) => {
+            this.handleFileSelect(e, 'bankFileName');
+        });
+
+        document.getElementById('fxRatesFile').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                document.getElementById('fxRates').value = await file.text();
+            }
+        });
+
+        document.getElementById('matchProfile').addEventListener('change', () => {
+            this.describeMatchProfile();
+        });
+
+        document.getElementById('matchProfileFile').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                await this.importMatchProfile(file);
+                e.target.value = '';
+            }
+        });
+
+        document.getElementById('exportMatchProfile').addEventListener('click', () => {
+            this.exportMatchProfile();
+        });
+
+        document.getElementById('deleteMatchProfile').addEventListener('click', () => {
+            this.deleteMatchProfile();
+        });
+
+        ['maskDisplay', 'maskExports', 'maskDetect', 'maskRules'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateMasking();
+            });
+        });
+
         
         document.getElementById('reconcileForm').addEventListener('submit', (e) => {
             e.preventDefault();
             this.processReconciliation();
         });
+
+        document.getElementById('historyBtn').addEventListener('click', () => {
+            this.toggleHistory();
+        });
+
+        document.getElementById('cancelBtn').addEventListener('click', () => {
+            this.cancelJob();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideMatchDetail();
+            }
+        });
     }
 
     handleFileSelect(event, fileNameElementId) {
@@ -33,126 +105,115 @@ class ReconciliationTool {
         }
     }
 
-    async parseCSV(file) {
+    // Runs a parse or reconcile job in reconciliation-worker.js. Pages opened from
+    // file:// can't start workers in some browsers, so the job then runs here instead.
+    runJob(job) {
+        let worker = null;
+        try {
+            worker = typeof Worker === 'undefined' ? null : new Worker('reconciliation-worker.js');
+        } catch (error) {
+            worker = null;
+        }
+        if (!worker) {
+            return this.runJobLocally(job);
+        }
+
         return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    const text = e.target.result;
-                    const lines = text.split('\n').filter(line => line.trim());
-                    
-                    if (lines.length < 2) {
-                        reject(new Error('CSV file must have at least a header and one data row'));
-                        return;
-                    }
-
-                    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-                    const data = [];
-
-                    for (let i = 1; i < lines.length; i++) {
-                        const values = lines[i].split(',').map(v => v.trim().replace(/"/g, ''));
-                        if (values.length === headers.length) {
-                            const row = {};
-                            headers.forEach((header, index) => {
-                                row[header] = values[index];
-                            });
-                            data.push(row);
-                        }
-                    }
+            let started = false;
+            const finish = () => {
+                worker.terminate();
+                this.activeJob = null;
+            };
 
-                    resolve(data);
-                } catch (error) {
-                    reject(new Error('Failed to parse CSV file: ' + error.message));
+            this.activeJob = {
+                cancel: () => {
+                    finish();
+                    const error = new Error('Reconciliation cancelled');
+                    error.name = 'AbortError';
+                    reject(error);
                 }
             };
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsText(file);
-        });
-    }
-
-    reconcileTransactions(internalData, providerData) {
-        const results = {
-            matched: [],
-            mismatched: [],
-            internal_only: [],
-            provider_only: [],
-            summary: {}
-        };
 
-        const internalMap = new Map();
-        const providerMap = new Map();
+            worker.onmessage = (event) => {
+                started = true;
+                const message = event.data;
+                if (message.type === 'progress') {
+                    this.updateProgress(message.progress);
+                } else if (message.type === 'done') {
+                    finish();
+                    resolve(message.result);
+                } else if (message.type === 'error') {
+                    finish();
+                    reject(new Error(message.message));
+                }
+            };
 
-        // Process internal data
-        internalData.forEach(row => {
-            const ref = (row.transaction_reference || row.reference || row.id || '').toString().trim();
-            if (ref) {
-                internalMap.set(ref, row);
-            }
-        });
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish();
+                if (started) {
+                    reject(new Error(event.message || 'The reconciliation worker stopped unexpectedly'));
+                } else {
+                    this.runJobLocally(job).then(resolve, reject);
+                }
+            };
 
-        // Process provider data
-        providerData.forEach(row => {
-            const ref = (row.transaction_reference || row.reference || row.id || '').toString().trim();
-            if (ref) {
-                providerMap.set(ref, row);
-            }
+            worker.postMessage(job);
         });
+    }
 
-        // Find matches and categorize
-        for (const [ref, internalTxn] of internalMap) {
-            if (providerMap.has(ref)) {
-                const providerTxn = providerMap.get(ref);
-                
-                const internalAmount = parseFloat(internalTxn.amount || 0);
-                const providerAmount = parseFloat(providerTxn.amount || 0);
-                const amountMatch = Math.abs(internalAmount - providerAmount) < 0.01;
-                
-                const internalStatus = (internalTxn.status || '').toLowerCase().trim();
-                const providerStatus = (providerTxn.status || '').toLowerCase().trim();
-                const statusMatch = internalStatus === providerStatus;
-
-                const matchData = {
-                    transaction_reference: ref,
-                    internal: internalTxn,
-                    provider: providerTxn,
-                    amount_match: amountMatch,
-                    status_match: statusMatch,
-                    fully_matched: amountMatch && statusMatch
-                };
+    async runJobLocally(job) {
+        const engine = new ReconciliationEngine({ onProgress: progress => this.updateProgress(progress) });
+        this.activeJob = engine;
 
-                if (matchData.fully_matched) {
-                    results.matched.push(matchData);
-                } else {
-                    results.mismatched.push(matchData);
-                }
-            } else {
-                results.internal_only.push(internalTxn);
-            }
+        try {
+            // Give the progress message a chance to paint before the page blocks
+            await new Promise(resolve => setTimeout(resolve, 0));
+            return await engine.run(job);
+        } finally {
+            this.activeJob = null;
         }
+    }
 
-        // Find provider-only transactions
-        for (const [ref, providerTxn] of providerMap) {
-            if (!internalMap.has(ref)) {
-                results.provider_only.push(providerTxn);
-            }
+    cancelJob() {
+        if (this.activeJob) {
+            this.activeJob.cancel();
         }
+    }
 
-        // Calculate summary
-        results.summary = {
-            total_internal: internalData.length,
-            total_provider: providerData.length,
-            matched_count: results.matched.length,
-            mismatched_count: results.mismatched.length,
-            internal_only_count: results.internal_only.length,
-            provider_only_count: results.provider_only.length
-        };
+    acceptSuggestion(index) {
+        const results = this.currentResults;
+        const [suggestion] = results.suggested.splice(index, 1);
+
+        const context = this.engine.createMatchContext(results.settings);
+        const matchData = this.engine.comparePair(suggestion.internal, suggestion.provider, suggestion.internal.reference, context);
+        matchData.provider_reference = suggestion.provider.reference;
+        matchData.confidence = suggestion.confidence;
+        matchData.match_rule = 'suggestion';
+        matchData.match_reasons = suggestion.reasons;
+        this.engine.categorizePair(results, matchData);
+
+        this.engine.updateSummary(results);
+        this.saveRun(results);
+        this.displayResults(results, false);
+    }
 
-        return results;
+    rejectSuggestion(index) {
+        const results = this.currentResults;
+        const [suggestion] = results.suggested.splice(index, 1);
+
+        results.internal_only.push(suggestion.internal);
+        results.provider_only.push(suggestion.provider);
+
+        this.engine.updateSummary(results);
+        this.saveRun(results);
+        this.displayResults(results, false);
     }
 
     async processReconciliation() {
         const internalFile = document.getElementById('internalFile').files[0];
         const providerFile = document.getElementById('providerFile').files[0];
+        const bankFile = document.getElementById('bankFile').files[0] || null;
 
         if (!internalFile || !providerFile) {
             this.showError('Please select both CSV files');
@@ -163,221 +224,1211 @@ class ReconciliationTool {
             this.showLoading(true);
             this.hideError();
             this.hideResults();
+            this.hideMapping();
+            this.hideValidation();
+
+            // Parse both input files
+            const internalCSV = await this.runJob({ type: 'parse', file: internalFile });
+            const providerCSV = await this.runJob({ type: 'parse', file: providerFile });
+            const bankCSV = bankFile ? await this.runJob({ type: 'parse', file: bankFile }) : null;
+            [[internalFile, internalCSV], [providerFile, providerCSV], [bankFile, bankCSV]].filter(([file]) => file).forEach(([file, csv]) => {
+                if (csv.rows.length === 0) {
+                    const first = csv.rejected[0];
+                    throw new Error(`${file.name} has no valid rows (line ${first.line}: ${first.reason})`);
+                }
+            });
 
-            // Parse CSV files
-            const internalData = await this.parseCSV(internalFile);
-            const providerData = await this.parseCSV(providerFile);
+            // Hold the parsed files until the user confirms the column mapping
+            this.pendingInputs = {
+                internal: internalCSV,
+                provider: providerCSV,
+                bank: bankCSV,
+                run: {
+                    id: RunHistory.runId(internalFile, providerFile, bankFile),
+                    internal_file: internalFile.name,
+                    provider_file: providerFile.name,
+                    bank_file: bankFile ? bankFile.name : ''
+                }
+            };
+            this.showMappingStep();
 
-            if (internalData.length === 0 || providerData.length === 0) {
-                throw new Error('One or both CSV files are empty');
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                this.showError(error.message);
             }
+        } finally {
+            this.showLoading(false);
+        }
+    }
 
-            // Perform reconciliation
-            const results = this.reconcileTransactions(internalData, providerData);
-            
-            // Store results for export functionality
-            this.currentResults = results;
+    async completeReconciliation() {
+        const { internal, provider, bank } = this.pendingInputs;
+        const mappings = {
+            internal: this.readMapping('internal'),
+            provider: this.readMapping('provider')
+        };
+        if (bank) {
+            mappings.bank = this.readMapping('bank');
+        }
 
-            // Display results
-            this.displayResults(results);
+        const errors = [
+            ...ColumnMapper.validate(mappings.internal).map(error => `Internal file: ${error}`),
+            ...ColumnMapper.validate(mappings.provider).map(error => `Provider file: ${error}`),
+            ...(bank ? ColumnMapper.validate(mappings.bank).map(error => `Bank statement: ${error}`) : [])
+        ];
+        if (errors.length > 0) {
+            this.showError(errors.join('. '));
+            return;
+        }
+
+        try {
+            const settings = this.readSettings();
+
+            this.hideError();
+            this.saveMappingProfile('internal', internal.headers, mappings.internal);
+            this.saveMappingProfile('provider', provider.headers, mappings.provider);
+            if (bank) {
+                this.saveMappingProfile('bank', bank.headers, mappings.bank);
+            }
+            this.saveStatusOverrides(settings.statusMap);
+
+            // Check the mapped rows first and let the user decide what to do about problems
+            this.showLoading(true);
+            const issues = [
+                ...DataQualityCheck.rejectedIssues('internal', internal.rejected),
+                ...DataQualityCheck.rejectedIssues('provider', provider.rejected),
+                ...(bank ? DataQualityCheck.rejectedIssues('bank', bank.rejected) : []),
+                ...await this.runJob({
+                    type: 'validate',
+                    internal: internal.rows,
+                    provider: provider.rows,
+                    bank: bank ? bank.rows : null,
+                    mappings,
+                    settings
+                })
+            ];
+            this.pendingInputs.checked = { mappings, settings, issues };
 
+            if (issues.length > 0) {
+                this.showValidationStep(issues);
+                return;
+            }
+            await this.reconcileInputs(null);
         } catch (error) {
-            this.showError(error.message);
+            if (error.name !== 'AbortError') {
+                this.showError(error.message);
+            }
         } finally {
             this.showLoading(false);
         }
     }
 
-    showLoading(show) {
-        const loadingSection = document.getElementById('loadingSection');
-        const reconcileBtn = document.getElementById('reconcileBtn');
-        
-        loadingSection.style.display = show ? 'block' : 'none';
-        reconcileBtn.disabled = show;
-        reconcileBtn.textContent = show ? '🔄 Processing...' : '🚀 Start Reconciliation';
-    }
+    // Answers the data-quality step: 'continue' keeps every row, 'exclude' leaves
+    // out the rows with errors and 'abort' drops the run
+    async resolveValidation(action) {
+        this.hideValidation();
+        if (action === 'abort') {
+            this.pendingInputs = null;
+            this.hideMapping();
+            return;
+        }
 
-    showError(message) {
-        const errorSection = document.getElementById('errorSection');
-        const errorMessage = document.getElementById('errorMessage');
-        
-        errorMessage.textContent = message;
-        errorSection.style.display = 'block';
+        try {
+            this.showLoading(true);
+            await this.reconcileInputs(action === 'exclude' ? DataQualityCheck.offendingLines(this.pendingInputs.checked.issues) : null);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                this.showError(error.message);
+            }
+        } finally {
+            this.showLoading(false);
+        }
     }
 
-    hideError() {
-        document.getElementById('errorSection').style.display = 'none';
-    }
+    // excludedLines: { internal, provider, bank } sets of line numbers to leave out, or null
+    async reconcileInputs(excludedLines) {
+        const { internal, provider, bank, run, checked } = this.pendingInputs;
+        const { mappings, settings, issues } = checked;
+        const rowsOf = (side, csv) => excludedLines ? csv.rows.filter(row => !excludedLines[side].has(row.line)) : csv.rows;
 
-    hideResults() {
-        document.getElementById('resultsSection').style.display = 'none';
-    }
+        const results = await this.runJob({
+            type: 'reconcile',
+            internal: rowsOf('internal', internal),
+            provider: rowsOf('provider', provider),
+            bank: bank ? rowsOf('bank', bank) : null,
+            mappings,
+            settings,
+            carried: settings.carryForward ? await this.collectCarriedForward(run.id) : {}
+        });
 
-    getStatusBadge(status) {
-        const statusLower = status.toLowerCase();
-        let badgeClass = 'status-badge ';
-        
-        if (statusLower.includes('complete') || statusLower.includes('success')) {
-            badgeClass += 'status-completed';
-        } else if (statusLower.includes('pending') || statusLower.includes('processing')) {
-            badgeClass += 'status-pending';
-        } else if (statusLower.includes('failed') || statusLower.includes('error')) {
-            badgeClass += 'status-failed';
-        } else {
-            badgeClass += 'status-pending';
-        }
-        
-        return `<span class="${badgeClass}">${status}</span>`;
+        // Keep rows the parser could not read visible in the results
+        results.rejected = [
+            ...internal.rejected.map(row => ({ ...row, source: 'Internal' })),
+            ...provider.rejected.map(row => ({ ...row, source: 'Provider' })),
+            ...(bank ? bank.rejected.map(row => ({ ...row, source: 'Bank' })) : [])
+        ];
+        results.summary.rejected_count = results.rejected.length;
+
+        // And the rows left out after the data-quality check
+        results.excluded = excludedLines
+            ? [['internal', internal], ['provider', provider], ['bank', bank]]
+                .filter(([, csv]) => csv)
+                .flatMap(([side, csv]) => DataQualityCheck.excludedRows(side, csv.rows, excludedLines[side], issues))
+            : [];
+        results.summary.excluded_count = results.excluded.length;
+        results.summary.data_quality_issue_count = issues.filter(issue => !issue.rejected).length;
+
+        results.run = { ...run, reconciled_at: new Date().toISOString() };
+        await this.loadResolutions(results.run.id);
+        await this.saveRun(results);
+
+        // Store results for export functionality
+        this.currentResults = results;
+
+        // Display results
+        this.hideMapping();
+        this.displayResults(results);
     }
 
-    // CSV Export Functions
-    convertToCSV(data, type) {
-        if (!data || data.length === 0) {
-            return 'No data available for export';
-        }
+    showValidationStep(issues) {
+        const section = document.getElementById('validationSection');
+        const shown = issues.slice(0, ReconciliationTool.VALIDATION_ROWS_SHOWN);
+        const lines = DataQualityCheck.offendingLines(issues);
+        const excludable = lines.internal.size + lines.provider.size + lines.bank.size;
+        const plural = (count, word) => `${count.toLocaleString()} ${word}${count === 1 ? '' : 's'}`;
 
-        let headers = [];
-        let rows = [];
+        const totals = Object.values(DataQualityCheck.SOURCES).map(source => {
+            const own = issues.filter(issue => issue.source === source);
+            const errors = own.filter(issue => issue.severity === 'error').length;
+            return own.length > 0 ? `<li><strong>${this.escapeHtml(source)}:</strong> ${plural(errors, 'error')}, ${plural(own.length - errors, 'warning')}</li>` : '';
+        }).join('');
 
-        switch (type) {
-            case 'matched':
-                headers = ['Transaction Reference', 'Amount', 'Status', 'Date', 'Match Type'];
-                rows = data.map(match => [
-                    match.transaction_reference || '',
-                    parseFloat(match.internal.amount || 0).toFixed(2),
-                    match.internal.status || '',
-                    match.internal.date || '',
-                    'Perfect Match'
-                ]);
-                break;
+        section.innerHTML = `
+            <div class="results-section">
+                <h2>🩺 Data Quality Check</h2>
+                <p class="mapping-intro">Some rows have problems that will affect matching. Rows the file reader couldn't parse are always left out; the rest can be reconciled as they are, or the rows with errors can be left out and counted in the summary.</p>
+                <ul class="validation-totals">${totals}</ul>
+                <div class="table-section">
+                    <div class="table-header">
+                        <h3>⚠️ Problems Found</h3>
+                        <button class="export-btn" onclick="reconciliationTool.exportValidation()">
+                            📥 Export as CSV
+                        </button>
+                    </div>
+                    <div class="table-container">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>File</th>
+                                    <th>Line</th>
+                                    <th>Column</th>
+                                    <th>Value</th>
+                                    <th>Problem</th>
+                                    <th>Severity</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${shown.map(issue => `
+                                    <tr>
+                                        <td>${this.escapeHtml(issue.source)}</td>
+                                        <td>${this.escapeHtml(issue.line)}</td>
+                                        <td>${this.escapeHtml(issue.column || '—')}</td>
+                                        <td><code>${this.escapeHtml(this.masker.issue(issue))}</code></td>
+                                        <td>${this.escapeHtml(issue.problem)}</td>
+                                        <td><span class="severity-badge severity-${this.escapeHtml(issue.severity)}">${this.escapeHtml(issue.severity)}</span></td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+                ${issues.length > shown.length ? `<p class="mapping-intro">Showing the first ${shown.length.toLocaleString()} of ${issues.length.toLocaleString()} problems; the CSV export lists them all.</p>` : ''}
+                <div class="validation-actions">
+                    <button type="button" class="export-btn" onclick="reconciliationTool.resolveValidation('continue')">
+                        ▶️ Continue with All Rows
+                    </button>
+                    ${excludable > 0 ? `
+                    <button type="button" class="export-btn" onclick="reconciliationTool.resolveValidation('exclude')">
+                        🧹 Exclude ${plural(excludable, 'Row')} with Errors
+                    </button>
+                    ` : ''}
+                    <button type="button" class="cancel-btn" onclick="reconciliationTool.resolveValidation('abort')">
+                        Abort
+                    </button>
+                </div>
+            </div>
+        `;
 
-            case 'mismatched':
-                headers = ['Transaction Reference', 'Internal Amount', 'Provider Amount', 'Internal Status', 'Provider Status', 'Amount Match', 'Status Match'];
-                rows = data.map(match => [
-                    match.transaction_reference || '',
-                    parseFloat(match.internal.amount || 0).toFixed(2),
-                    parseFloat(match.provider.amount || 0).toFixed(2),
-                    match.internal.status || '',
-                    match.provider.status || '',
-                    match.amount_match ? 'Yes' : 'No',
-                    match.status_match ? 'Yes' : 'No'
-                ]);
-                break;
+        section.style.display = 'block';
+        section.scrollIntoView({ behavior: 'smooth' });
+    }
 
-            case 'internal_only':
-                headers = ['Transaction Reference', 'Amount', 'Status', 'Date', 'Source'];
-                rows = data.map(txn => [
-                    txn.transaction_reference || txn.reference || txn.id || '',
-                    parseFloat(txn.amount || 0).toFixed(2),
-                    txn.status || '',
-                    txn.date || '',
-                    'Internal System Only'
-                ]);
-                break;
+    hideValidation() {
+        document.getElementById('validationSection').style.display = 'none';
+    }
 
-            case 'provider_only':
-                headers = ['Transaction Reference', 'Amount', 'Status', 'Date', 'Source'];
-                rows = data.map(txn => [
-                    txn.transaction_reference || txn.reference || txn.id || '',
-                    parseFloat(txn.amount || 0).toFixed(2),
-                    txn.status || '',
-                    txn.date || '',
-                    'Provider Statement Only'
-                ]);
-                break;
+    exportValidation() {
+        const timestamp = new Date().toISOString().split('T')[0];
+        this.downloadCSV(this.convertToCSV(this.pendingInputs.checked.issues, 'data_quality'), `data-quality-${timestamp}.csv`);
+    }
 
-            default:
-                return 'Invalid export type';
+    async loadResolutions(runId) {
+        try {
+            this.resolutions = await this.exceptionStore.forRun(runId);
+        } catch (error) {
+            // Without IndexedDB the workflow still works, it just isn't kept across reloads
+            this.showError(`Resolutions will not be saved: ${error.message}`);
+            this.resolutions = new Map();
+        }
+    }
+
+    async saveRun(results) {
+        try {
+            await this.runHistory.save(results);
+        } catch (error) {
+            this.showError(`Run history will not be saved: ${error.message}`);
         }
+    }
 
-        // Escape values that contain commas or quotes
-        const escapeCSVValue = (value) => {
-            const stringValue = value.toString();
-            if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
-                return `"${stringValue.replace(/"/g, '""')}"`;
+    // Orphans from the latest earlier run that nobody has resolved or written off,
+    // so transactions that settle late clear themselves in the next run
+    async collectCarriedForward(runId) {
+        try {
+            const previous = await this.runHistory.previous(runId);
+            if (!previous) {
+                return {};
             }
-            return stringValue;
-        };
 
-        const csvContent = [
-            headers.map(escapeCSVValue).join(','),
-            ...rows.map(row => row.map(escapeCSVValue).join(','))
-        ].join('\n');
+            const [results, resolutions] = await Promise.all([
+                this.runHistory.results(previous.id),
+                this.exceptionStore.forRun(previous.id)
+            ]);
+            const open = category => (results ? results[category] : [])
+                .filter(row => !ExceptionStore.isClosed(resolutions.get(ExceptionStore.key(category, row))))
+                .map(row => ({
+                    ...row,
+                    carried_from: row.carried_from || { run_id: previous.id, reconciled_at: previous.reconciled_at }
+                }));
 
-        return csvContent;
+            return { internal: open('internal_only'), provider: open('provider_only') };
+        } catch (error) {
+            this.showError(`Nothing was carried forward from the previous run: ${error.message}`);
+            return {};
+        }
     }
 
-    downloadCSV(csvContent, filename) {
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement('a');
-        
-        if (link.download !== undefined) {
-            const url = URL.createObjectURL(blob);
-            link.setAttribute('href', url);
-            link.setAttribute('download', filename);
-            link.style.visibility = 'hidden';
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
+    toggleHistory() {
+        const historySection = document.getElementById('historySection');
+        if (historySection.style.display === 'none') {
+            this.showHistory();
+        } else {
+            historySection.style.display = 'none';
         }
     }
 
-    exportCategory(category) {
-        if (!this.currentResults) {
-            alert('No results available for export. Please run reconciliation first.');
+    async showHistory() {
+        const historySection = document.getElementById('historySection');
+        let runs;
+        try {
+            runs = await this.runHistory.list();
+        } catch (error) {
+            this.showError(`Run history is unavailable: ${error.message}`);
             return;
         }
 
-        const timestamp = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-        let data, filename, displayName;
+        historySection.innerHTML = `
+            <div class="table-section history-section">
+                <div class="table-header">
+                    <h3>📚 Run History</h3>
+                    ${runs.length > 1 ? `
+                        <button class="export-btn" onclick="reconciliationTool.compareRuns()">
+                            ⚖️ Compare Selected
+                        </button>
+                    ` : ''}
+                </div>
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th></th>
+                                <th>Reconciled</th>
+                                <th>Files</th>
+                                <th>Matched</th>
+                                <th>Mismatched</th>
+                                <th>Internal Only</th>
+                                <th>Provider Only</th>
+                                <th>Carried Forward</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${runs.length === 0 ?
+                                '<tr><td colspan="9" style="text-align: center; color: #666;">No runs saved yet</td></tr>' :
+                                runs.map(run => `
+                                    <tr>
+                                        <td><input type="checkbox" class="history-select" value="${this.escapeHtml(run.id)}"></td>
+                                        <td>${this.escapeHtml(new Date(run.reconciled_at).toLocaleString())}</td>
+                                        <td>${[run.internal_file, run.provider_file, run.bank_file].filter(Boolean).map(name => this.escapeHtml(name)).join('<br>')}</td>
+                                        <td>${run.summary.matched_count}</td>
+                                        <td>${run.summary.mismatched_count}</td>
+                                        <td>${run.summary.internal_only_count}</td>
+                                        <td>${run.summary.provider_only_count}</td>
+                                        <td>${run.summary.carried_forward_count || 0} in, ${run.summary.carried_open_count || 0} still open</td>
+                                        <td class="suggestion-actions">
+                                            <button class="accept-btn" onclick="reconciliationTool.openRun('${this.escapeHtml(run.id)}')">Open</button>
+                                            <button class="reject-btn" onclick="reconciliationTool.deleteRun('${this.escapeHtml(run.id)}')">Delete</button>
+                                        </td>
+                                    </tr>
+                                `).join('')
+                            }
+                        </tbody>
+                    </table>
+                </div>
+                <div id="historyComparison"></div>
+            </div>
+        `;
+        historySection.style.display = 'block';
+    }
 
-        switch (category) {
-            case 'matched':
-                data = this.currentResults.matched;
-                filename = `perfect-matches-${timestamp}.csv`;
-                displayName = 'Perfect Matches';
-                break;
-            case 'mismatched':
-                data = this.currentResults.mismatched;
-                filename = `mismatched-transactions-${timestamp}.csv`;
-                displayName = 'Mismatched Transactions';
-                break;
-            case 'internal_only':
-                data = this.currentResults.internal_only;
-                filename = `internal-only-${timestamp}.csv`;
-                displayName = 'Internal Only Transactions';
-                break;
-            case 'provider_only':
-                data = this.currentResults.provider_only;
-                filename = `provider-only-${timestamp}.csv`;
-                displayName = 'Provider Only Transactions';
-                break;
-            default:
-                alert('Invalid category for export');
-                return;
+    async openRun(id) {
+        try {
+            const results = await this.runHistory.results(id);
+            if (!results) {
+                throw new Error('The results of this run are no longer stored');
+            }
+            this.hideError();
+            await this.loadResolutions(id);
+            this.currentResults = results;
+            this.hideMapping();
+            this.displayResults(results);
+        } catch (error) {
+            this.showError(error.message);
         }
+    }
 
-        if (data.length === 0) {
-            alert(`No ${displayName.toLowerCase()} found to export.`);
+    async deleteRun(id) {
+        if (!confirm('Delete this run from the history?')) {
             return;
         }
-
-        const csvContent = this.convertToCSV(data, category);
-        this.downloadCSV(csvContent, filename);
-        
-        // Show success message
-        this.showExportSuccess(displayName, data.length);
+        try {
+            await this.runHistory.remove(id);
+            this.showHistory();
+        } catch (error) {
+            this.showError(error.message);
+        }
     }
 
-    showExportSuccess(categoryName, recordCount) {
-        // Create a temporary success message
-        const successDiv = document.createElement('div');
-        successDiv.className = 'export-success';
-        successDiv.innerHTML = `
-            <div style="
-                background: linear-gradient(135deg, #27ae60, #2ecc71);
-                color: white;
+    async compareRuns() {
+        const selected = [...document.querySelectorAll('.history-select:checked')].map(input => input.value);
+        if (selected.length !== 2) {
+            alert('Select exactly two runs to compare.');
+            return;
+        }
+
+        const runs = (await this.runHistory.list()).filter(run => selected.includes(run.id));
+        // Older run on the left so changes read forwards in time
+        const [before, after] = runs.sort((a, b) => a.reconciled_at.localeCompare(b.reconciled_at));
+        const metrics = [
+            ['Internal transactions', 'total_internal'],
+            ['Provider transactions', 'total_provider'],
+            ['Perfect matches', 'matched_count'],
+            ['Mismatched', 'mismatched_count'],
+            ['Pending vs settled', 'status_timing_count'],
+            ['Timing differences', 'timing_difference_count'],
+            ['Fee deviations', 'fee_deviation_count'],
+            ['Suggested matches', 'suggested_count'],
+            ['Group matches', 'group_count'],
+            ['Duplicates', 'duplicate_count'],
+            ['Internal only', 'internal_only_count'],
+            ['Provider only', 'provider_only_count'],
+            ['Carried forward', 'carried_forward_count'],
+            ['Bank transactions', 'total_bank'],
+            ['Confirmed in all three', 'three_way_confirmed_count'],
+            ['Settlement mismatches', 'settlement_mismatch_count'],
+            ['Unsettled payouts', 'unsettled_payout_count'],
+            ['Bank only', 'bank_only_count'],
+            ['Rejected rows', 'rejected_count'],
+            ['Excluded rows', 'excluded_count']
+        ];
+
+        // Variance can only be compared within a currency
+        const currencies = new Set([...before.summary.variance_totals, ...after.summary.variance_totals].map(total => total.currency));
+        const variance = (summary, currency) => {
+            const total = summary.variance_totals.find(entry => entry.currency === currency);
+            return total ? total.net : 0;
+        };
+
+        const change = (a, b, format) => {
+            const delta = b - a;
+            return delta === 0 ? '—' : `${delta > 0 ? '+' : ''}${format(delta)}`;
+        };
+
+        document.getElementById('historyComparison').innerHTML = `
+            <div class="table-container">
+                <table class="run-comparison">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>${this.escapeHtml(new Date(before.reconciled_at).toLocaleString())}</th>
+                            <th>${this.escapeHtml(new Date(after.reconciled_at).toLocaleString())}</th>
+                            <th>Change</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${metrics.map(([label, key]) => {
+                            const a = before.summary[key] || 0;
+                            const b = after.summary[key] || 0;
+                            return `
+                                <tr>
+                                    <th>${label}</th>
+                                    <td>${a}</td>
+                                    <td>${b}</td>
+                                    <td>${change(a, b, String)}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                        ${[...currencies].map(currency => {
+                            const a = variance(before.summary, currency);
+                            const b = variance(after.summary, currency);
+                            const format = value => Money.format(value, currency);
+                            return `
+                                <tr>
+                                    <th>Net variance ${this.escapeHtml(currency)}</th>
+                                    <td>${this.escapeHtml(format(a))}</td>
+                                    <td>${this.escapeHtml(format(b))}</td>
+                                    <td>${this.escapeHtml(change(a, b, format))}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    resolutionFor(category, row) {
+        return this.resolutions.get(ExceptionStore.key(category, row)) || null;
+    }
+
+    async saveResolution() {
+        const { category, row } = this.detailTarget;
+        const form = document.getElementById('resolutionForm');
+        const record = {
+            run_id: this.currentResults.run.id,
+            key: ExceptionStore.key(category, row),
+            category,
+            reference: category === 'mismatched' ? row.transaction_reference : row.reference,
+            state: form.elements.state.value,
+            reason: form.elements.reason.value,
+            notes: form.elements.notes.value.trim(),
+            assignee: form.elements.assignee.value.trim()
+        };
+
+        try {
+            this.resolutions.set(record.key, await this.exceptionStore.save(record));
+        } catch (error) {
+            this.resolutions.set(record.key, record);
+            this.showError(`The resolution was applied but could not be saved: ${error.message}`);
+        }
+
+        if (this.resultTables[category]) {
+            this.resultTables[category].refresh(true);
+        }
+        this.hideMatchDetail();
+    }
+
+    renderResolutionBadge(resolution) {
+        const state = resolution ? resolution.state : 'open';
+        return SafeHtml.html`
+            <span class="resolution-badge resolution-${state}">${ExceptionStore.STATES[state]}</span>
+            ${resolution && resolution.assignee ? SafeHtml.html`<div class="detail-normalized">${resolution.assignee}</div>` : ''}
+        `;
+    }
+
+    renderResolutionForm(category, row) {
+        const resolution = this.resolutionFor(category, row) || {};
+        const options = (choices, selected) => Object.entries(choices)
+            .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        return `
+            <form id="resolutionForm" class="resolution-form" onsubmit="event.preventDefault(); reconciliationTool.saveResolution();">
+                <h4>Resolution</h4>
+                <div class="settings-grid">
+                    <label>
+                        State
+                        <select name="state">${options(ExceptionStore.STATES, resolution.state || 'open')}</select>
+                    </label>
+                    <label>
+                        Reason
+                        <select name="reason">
+                            <option value="">—</option>
+                            ${options(ExceptionStore.REASONS, resolution.reason)}
+                        </select>
+                    </label>
+                    <label>
+                        Assignee
+                        <input type="text" name="assignee" value="${this.escapeHtml(resolution.assignee || '')}">
+                    </label>
+                    <label class="settings-wide">
+                        Notes
+                        <textarea name="notes" rows="3">${this.escapeHtml(resolution.notes || '')}</textarea>
+                    </label>
+                </div>
+                ${resolution.updated_at ? `<p class="mapping-note">Last updated ${this.escapeHtml(new Date(resolution.updated_at).toLocaleString())}</p>` : ''}
+                <button type="submit" class="export-btn">Save Resolution</button>
+            </form>
+        `;
+    }
+
+    readSettings() {
+        const perCurrency = {};
+        document.getElementById('perCurrencyTolerance').value.split(/[\n,]/).forEach(entry => {
+            const [currency, amount] = entry.split('=').map(part => part.trim());
+            if (currency && amount) {
+                perCurrency[currency.toUpperCase()] = amount;
+            }
+        });
+
+        const fxText = document.getElementById('fxRates').value;
+        const fx = FxRateTable.parse(fxText);
+        if (fx.errors.length > 0) {
+            throw new Error(fx.errors.join('. '));
+        }
+
+        return {
+            defaultCurrency: {
+                internal: document.getElementById('internalCurrency').value.trim().toUpperCase(),
+                provider: document.getElementById('providerCurrency').value.trim().toUpperCase()
+            },
+            statusMap: {
+                internal: this.readStatusMap('internal'),
+                provider: this.readStatusMap('provider')
+            },
+            fxRates: fx.table.rates,
+            fxTolerance: Number(document.getElementById('fxTolerance').value) || 0,
+            carryForward: document.getElementById('carryForward').checked,
+            settlementDays: Number(document.getElementById('settlementDays').value) || 0,
+            matchProfile: this.selectedMatchProfile(),
+            compareBasis: document.getElementById('compareBasis').value,
+            feeRule: {
+                percentage: document.getElementById('feePercentage').value,
+                fixed: document.getElementById('feeFixed').value.trim()
+            },
+            feeTolerance: document.getElementById('feeTolerance').value.trim() || '0.00',
+            dateFormat: document.getElementById('dateFormat').value,
+            maxDateDrift: Number(document.getElementById('maxDateDrift').value) || 0,
+            period: {
+                start: document.getElementById('periodStart').value,
+                end: document.getElementById('periodEnd').value,
+                cutoffDays: Number(document.getElementById('cutoffDays').value) || 0
+            },
+            tolerance: {
+                mode: document.getElementById('toleranceMode').value,
+                absolute: document.getElementById('absoluteTolerance').value.trim() || '0.00',
+                percentage: document.getElementById('percentageTolerance').value,
+                perCurrency
+            }
+        };
+    }
+
+    renderMatchProfiles(selected) {
+        const select = document.getElementById('matchProfile');
+        const profiles = this.matchProfiles.list();
+
+        select.innerHTML = `
+            <option value="">${this.escapeHtml(MatchRules.DEFAULT_PROFILE.name)} (built in)</option>
+            ${profiles.map(profile => `
+                <option value="${this.escapeHtml(profile.name)}">${this.escapeHtml(profile.name)}</option>
+            `).join('')}
+        `;
+        select.value = profiles.some(profile => profile.name === selected) ? selected : '';
+        this.describeMatchProfile();
+    }
+
+    selectedMatchProfile() {
+        const name = document.getElementById('matchProfile').value;
+        return (name && this.matchProfiles.get(name)) || MatchRules.DEFAULT_PROFILE;
+    }
+
+    // Lists the passes of the chosen profile under the picker and remembers the choice
+    describeMatchProfile() {
+        const name = document.getElementById('matchProfile').value;
+        const profile = this.selectedMatchProfile();
+        localStorage.setItem('reconciliation.matchProfile', name);
+
+        document.getElementById('matchProfilePasses').textContent = `Passes: ${profile.passes
+            .map((pass, index) => `${index + 1}. ${pass.name} on ${(pass.key || pass.internal.key).join(' + ')}`)
+            .join(', ')}`;
+        document.getElementById('deleteMatchProfile').disabled = !name;
+    }
+
+    async importMatchProfile(file) {
+        try {
+            const profile = this.matchProfiles.import(await file.text());
+            this.hideError();
+            this.renderMatchProfiles(profile.name);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    exportMatchProfile() {
+        const profile = this.selectedMatchProfile();
+        const filename = `matching-rules-${profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+        this.downloadBlob(new Blob([this.matchProfiles.export(profile)], { type: 'application/json' }), filename);
+    }
+
+    deleteMatchProfile() {
+        const name = document.getElementById('matchProfile').value;
+        if (!name || !confirm(`Delete the matching rules "${name}"?`)) {
+            return;
+        }
+        this.matchProfiles.remove(name);
+        this.renderMatchProfiles('');
+    }
+
+    showMappingStep() {
+        const { internal, provider, bank } = this.pendingInputs;
+        const mappingSection = document.getElementById('mappingSection');
+
+        mappingSection.innerHTML = `
+            <div class="results-section">
+                <h2>🧭 Map Your Columns</h2>
+                <p class="mapping-intro">Tell us which column holds each transaction field. Mappings saved under a profile name are reused automatically the next time a file with the same headers is uploaded.</p>
+                <div class="mapping-grid">
+                    ${this.renderMappingPanel('internal', '📊 Internal System Export', internal)}
+                    ${this.renderMappingPanel('provider', '🏦 Provider Statement', provider)}
+                    ${bank ? this.renderMappingPanel('bank', '🏛️ Bank Statement', bank) : ''}
+                </div>
+                <div class="mapping-actions">
+                    <button type="button" class="btn-primary" onclick="reconciliationTool.completeReconciliation()">
+                        ✅ Apply Mapping
+                    </button>
+                </div>
+            </div>
+        `;
+
+        ['internal', 'provider', 'bank'].filter(side => this.pendingInputs[side]).forEach(side => {
+            const csv = this.pendingInputs[side];
+            const profile = this.mappingProfiles.findByHeaders(csv.headers);
+            const mapping = profile ? ColumnMapper.adapt(profile.mapping, csv.headers) : ColumnMapper.guess(csv.headers);
+            this.setMapping(side, mapping);
+        });
+
+        mappingSection.style.display = 'block';
+        mappingSection.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    renderMappingPanel(side, title, csv) {
+        const profile = this.mappingProfiles.findByHeaders(csv.headers);
+        const samples = csv.rows.slice(0, 3);
+        const fieldOptions = ColumnMapper.FIELDS.map(field =>
+            `<option value="${field.key}">${field.label}${field.required ? ' *' : ''}</option>`
+        ).join('');
+
+        return `
+            <div class="mapping-card">
+                <h3>${title}</h3>
+                <div class="mapping-profile">
+                    <label>
+                        Profile
+                        <select id="${side}ProfileSelect" onchange="reconciliationTool.applyMappingProfile('${side}', this.value)">
+                            <option value="">Auto-detect</option>
+                            ${this.mappingProfiles.list().map(saved => `
+                                <option value="${this.escapeHtml(saved.name)}" ${profile && profile.name === saved.name ? 'selected' : ''}>${this.escapeHtml(saved.name)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    <label>
+                        Save as
+                        <input type="text" id="${side}ProfileName" placeholder="e.g. ${side === 'provider' ? 'Stripe' : 'Internal ledger'}" value="${profile ? this.escapeHtml(profile.name) : ''}">
+                    </label>
+                </div>
+                ${csv.format ? `<p class="mapping-note">Read as ${this.escapeHtml(csv.format)}</p>` : ''}
+                ${profile ? `<p class="mapping-note">Using saved profile “${this.escapeHtml(profile.name)}”</p>` : ''}
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Column</th>
+                                <th>Sample Values</th>
+                                <th>Maps To</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${csv.headers.map((header, index) => `
+                                <tr>
+                                    <td><strong>${this.escapeHtml(header)}</strong></td>
+                                    <td class="mapping-samples">${samples.map(row => this.escapeHtml(this.masker.column(header, row.data[header] || ''))).join('<br>')}</td>
+                                    <td>
+                                        <select id="${side}-map-${index}" onchange="reconciliationTool.renderStatusTable('${side}')">
+                                            <option value="">— Ignore —</option>
+                                            ${fieldOptions}
+                                        </select>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div id="${side}StatusTable" class="status-mapping"></div>
+            </div>
+        `;
+    }
+
+    // Lists the distinct values of the column currently mapped to status so each can be assigned a canonical state
+    renderStatusTable(side) {
+        const container = document.getElementById(`${side}StatusTable`);
+        const mapping = this.readMapping(side);
+        const statusHeader = Object.keys(mapping).find(header => mapping[header] === 'status');
+
+        // Bank lines are never compared on status, so their values need no mapping
+        if (!statusHeader || side === 'bank') {
+            container.innerHTML = '';
+            return;
+        }
+
+        const values = [...new Set(this.pendingInputs[side].rows.map(row => (row.data[statusHeader] || '').trim()).filter(Boolean))].slice(0, 50);
+        this.pendingInputs[side].statusValues = values;
+
+        container.innerHTML = `
+            <h4>Status Values</h4>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Value in File</th>
+                        <th>Means</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${values.map((value, index) => `
+                        <tr>
+                            <td>${this.escapeHtml(value)}</td>
+                            <td>
+                                <select id="${side}-status-${index}">
+                                    ${[...StatusNormalizer.STATES, 'unknown'].map(state => `
+                                        <option value="${state}" ${this.statusNormalizer.normalize(value, side) === state ? 'selected' : ''}>${state}</option>
+                                    `).join('')}
+                                </select>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    readStatusMap(side) {
+        const table = {};
+        const values = (this.pendingInputs && this.pendingInputs[side].statusValues) || [];
+        values.forEach((value, index) => {
+            const select = document.getElementById(`${side}-status-${index}`);
+            if (select && select.value !== 'unknown') {
+                table[value] = select.value;
+            }
+        });
+        return table;
+    }
+
+    loadStatusOverrides() {
+        try {
+            return JSON.parse(localStorage.getItem('reconciliation.statusMap')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveStatusOverrides(statusMap) {
+        const saved = this.loadStatusOverrides();
+        ['internal', 'provider'].forEach(side => {
+            saved[side] = { ...(saved[side] || {}), ...statusMap[side] };
+        });
+        localStorage.setItem('reconciliation.statusMap', JSON.stringify(saved));
+        this.statusNormalizer = new StatusNormalizer(saved);
+    }
+
+    applyMappingProfile(side, name) {
+        const headers = this.pendingInputs[side].headers;
+        const profile = name ? this.mappingProfiles.get(name) : null;
+        const mapping = profile ? ColumnMapper.adapt(profile.mapping, headers) : ColumnMapper.guess(headers);
+
+        this.setMapping(side, mapping);
+        document.getElementById(`${side}ProfileName`).value = profile ? profile.name : '';
+    }
+
+    setMapping(side, mapping) {
+        this.pendingInputs[side].headers.forEach((header, index) => {
+            document.getElementById(`${side}-map-${index}`).value = mapping[header] || '';
+        });
+        this.renderStatusTable(side);
+    }
+
+    readMapping(side) {
+        const mapping = {};
+        this.pendingInputs[side].headers.forEach((header, index) => {
+            const key = document.getElementById(`${side}-map-${index}`).value;
+            if (key) {
+                mapping[header] = key;
+            }
+        });
+        return mapping;
+    }
+
+    saveMappingProfile(side, headers, mapping) {
+        const name = document.getElementById(`${side}ProfileName`).value.trim();
+        if (name) {
+            this.mappingProfiles.save(name, headers, mapping);
+        }
+    }
+
+    hideMapping() {
+        document.getElementById('mappingSection').style.display = 'none';
+    }
+
+    showLoading(show) {
+        const loadingSection = document.getElementById('loadingSection');
+        const reconcileBtn = document.getElementById('reconcileBtn');
+        
+        loadingSection.style.display = show ? 'block' : 'none';
+        reconcileBtn.disabled = show;
+        reconcileBtn.textContent = show ? '🔄 Processing...' : '🚀 Start Reconciliation';
+
+        if (show) {
+            this.updateProgress(null);
+        }
+    }
+
+    updateProgress(progress) {
+        const status = document.getElementById('loadingStatus');
+        const bar = document.getElementById('loadingProgress');
+        const count = value => Number(value || 0).toLocaleString();
+
+        if (!progress) {
+            status.textContent = 'Processing your files...';
+            bar.removeAttribute('value');
+            return;
+        }
+
+        if (progress.phase === 'parsing') {
+            status.textContent = `Reading ${progress.file}: ${count(progress.rows)} rows parsed`;
+        } else if (progress.phase === 'normalizing') {
+            status.textContent = `Preparing ${progress.side} rows: ${count(progress.rows)} of ${count(progress.total)}`;
+        } else if (progress.phase === 'matching') {
+            status.textContent = `Matching: ${count(progress.rows)} of ${count(progress.total)} keys compared`;
+        } else if (progress.phase === 'validating') {
+            status.textContent = `Checking ${count(progress.rows)} ${progress.side} rows for data-quality problems`;
+        } else if (progress.phase === 'settling') {
+            status.textContent = `Linking payouts to ${count(progress.rows)} bank statement lines`;
+        } else {
+            status.textContent = `Looking for grouped and suggested matches among ${count(progress.rows)} unmatched rows`;
+        }
+
+        const done = progress.phase === 'parsing' ? progress.loaded : progress.rows;
+        if (progress.total) {
+            bar.max = progress.total;
+            bar.value = Math.min(done, progress.total);
+        } else {
+            bar.removeAttribute('value');
+        }
+    }
+
+    showError(message) {
+        const errorSection = document.getElementById('errorSection');
+        const errorMessage = document.getElementById('errorMessage');
+        
+        errorMessage.textContent = message;
+        errorSection.style.display = 'block';
+    }
+
+    hideError() {
+        document.getElementById('errorSection').style.display = 'none';
+    }
+
+    hideResults() {
+        document.getElementById('resultsSection').style.display = 'none';
+        this.hideMatchDetail();
+    }
+
+    getStatusBadge(status, state) {
+        const badgeClasses = {
+            succeeded: 'status-completed',
+            pending: 'status-pending',
+            failed: 'status-failed',
+            refunded: 'status-refunded',
+            reversed: 'status-reversed'
+        };
+        const badgeClass = 'status-badge ' + (badgeClasses[state || this.statusNormalizer.normalize(status)] || 'status-pending');
+        
+        return SafeHtml.html`<span class="${badgeClass}">${status}</span>`;
+    }
+
+    // Amount with its currency symbol for display
+    formatMoney(txn) {
+        if (txn.amount_minor === null || txn.amount_minor === undefined) {
+            return txn.amount || 'N/A';
+        }
+        return Money.format(txn.amount_minor, txn.currency);
+    }
+
+    formatVariance(match) {
+        if (match.variance === null) {
+            return 'N/A';
+        }
+        return `${match.variance > 0 ? '+' : ''}${Money.format(match.variance, match.currency)}`;
+    }
+
+    // Internal amount of a pair, followed by its converted value when the sides use different currencies
+    renderInternalAmount(match) {
+        const original = this.formatMoney(match.internal);
+
+        if (match.converted_amount !== null) {
+            return SafeHtml.html`${original}<div class="converted-amount">≈ ${Money.format(match.converted_amount, match.currency)} @ ${match.fx_rate}</div>`;
+        }
+        if (match.internal.currency && match.currency && match.internal.currency !== match.currency) {
+            return SafeHtml.html`${original}<div class="converted-amount missing">No ${match.internal.currency}→${match.currency} rate</div>`;
+        }
+        return SafeHtml.html`${original}`;
+    }
+
+    escapeHtml(value) {
+        return SafeHtml.escape(value);
+    }
+
+    // A row's field as shown on screen, masked when privacy masking is on
+    masked(field, value, row = null) {
+        return this.masker.value(field, value, row);
+    }
+
+    // Masking choices are kept across reloads so a shared screen stays masked
+    loadMaskingSettings() {
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem('reconciliation.masking')) || {};
+        } catch (error) {
+            saved = {};
+        }
+        document.getElementById('maskDisplay').checked = Boolean(saved.display);
+        document.getElementById('maskExports').checked = Boolean(saved.exports);
+        document.getElementById('maskDetect').checked = Boolean(saved.detect);
+        document.getElementById('maskRules').value = saved.rules || '';
+        this.applyMasking(saved, PiiMasker.parse(saved.rules).rules);
+    }
+
+    updateMasking() {
+        const settings = {
+            display: document.getElementById('maskDisplay').checked,
+            exports: document.getElementById('maskExports').checked,
+            detect: document.getElementById('maskDetect').checked,
+            rules: document.getElementById('maskRules').value
+        };
+        const { rules, errors } = PiiMasker.parse(settings.rules);
+        if (errors.length > 0) {
+            this.showError(errors.join('. '));
+            return;
+        }
+
+        this.hideError();
+        localStorage.setItem('reconciliation.masking', JSON.stringify(settings));
+        this.applyMasking(settings, rules);
+
+        if (this.currentResults) {
+            this.hideMatchDetail();
+            this.displayResults(this.currentResults, false);
+        }
+    }
+
+    applyMasking(settings, rules) {
+        const masker = new PiiMasker({ rules, detect: settings.detect });
+        this.masker = settings.display ? masker : new PiiMasker();
+        this.exportMasker = settings.exports ? masker : null;
+    }
+
+    // CSV Export Functions
+    convertToCSV(data, type) {
+        return new CsvExporter({
+            resolutionFor: (category, row) => this.resolutionFor(category, row),
+            masker: this.exportMasker
+        }).convert(data, type);
+    }
+
+    downloadCSV(csvContent, filename) {
+        this.downloadBlob(new Blob([csvContent], { type: 'text/csv;charset=utf-8;' }), filename);
+    }
+
+    downloadBlob(blob, filename) {
+        const link = document.createElement('a');
+        
+        if (link.download !== undefined) {
+            const url = URL.createObjectURL(blob);
+            link.setAttribute('href', url);
+            link.setAttribute('download', filename);
+            link.style.visibility = 'hidden';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    exportCategory(category) {
+        if (!this.currentResults) {
+            alert('No results available for export. Please run reconciliation first.');
+            return;
+        }
+
+        const timestamp = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+        let data, filename, displayName;
+
+        switch (category) {
+            case 'matched':
+                data = this.currentResults.matched;
+                filename = `perfect-matches-${timestamp}.csv`;
+                displayName = 'Perfect Matches';
+                break;
+            case 'mismatched':
+                data = this.currentResults.mismatched;
+                filename = `mismatched-transactions-${timestamp}.csv`;
+                displayName = 'Mismatched Transactions';
+                break;
+            case 'status_timing':
+                data = this.currentResults.status_timing;
+                filename = `pending-vs-settled-${timestamp}.csv`;
+                displayName = 'Pending vs Settled';
+                break;
+            case 'timing_differences':
+                data = this.currentResults.timing_differences;
+                filename = `timing-differences-${timestamp}.csv`;
+                displayName = 'Timing Differences';
+                break;
+            case 'fee_deviations':
+                data = this.currentResults.fee_deviations;
+                filename = `fee-deviations-${timestamp}.csv`;
+                displayName = 'Fee Deviations';
+                break;
+            case 'suggested':
+                data = this.currentResults.suggested;
+                filename = `suggested-matches-${timestamp}.csv`;
+                displayName = 'Suggested Matches';
+                break;
+            case 'groups':
+                data = this.currentResults.groups;
+                filename = `group-matches-${timestamp}.csv`;
+                displayName = 'Group Matches';
+                break;
+            case 'duplicates':
+                data = this.currentResults.duplicates;
+                filename = `duplicate-references-${timestamp}.csv`;
+                displayName = 'Duplicate References';
+                break;
+            case 'internal_only':
+                data = this.currentResults.internal_only;
+                filename = `internal-only-${timestamp}.csv`;
+                displayName = 'Internal Only Transactions';
+                break;
+            case 'provider_only':
+                data = this.currentResults.provider_only;
+                filename = `provider-only-${timestamp}.csv`;
+                displayName = 'Provider Only Transactions';
+                break;
+            case 'three_way':
+                data = this.currentResults.three_way;
+                filename = `three-way-status-${timestamp}.csv`;
+                displayName = 'Three-Way Status';
+                break;
+            case 'settlement_mismatches':
+                data = this.currentResults.settlement_mismatches;
+                filename = `settlement-mismatches-${timestamp}.csv`;
+                displayName = 'Settlement Mismatches';
+                break;
+            case 'unsettled_payouts':
+                data = this.currentResults.unsettled_payouts;
+                filename = `unsettled-payouts-${timestamp}.csv`;
+                displayName = 'Unsettled Payouts';
+                break;
+            case 'bank_only':
+                data = this.currentResults.bank_only;
+                filename = `bank-only-${timestamp}.csv`;
+                displayName = 'Bank Only Transactions';
+                break;
+            case 'rejected':
+                data = this.currentResults.rejected;
+                filename = `rejected-rows-${timestamp}.csv`;
+                displayName = 'Rejected Rows';
+                break;
+            case 'excluded':
+                data = this.currentResults.excluded || [];
+                filename = `excluded-rows-${timestamp}.csv`;
+                displayName = 'Excluded Rows';
+                break;
+            default:
+                alert('Invalid category for export');
+                return;
+        }
+
+        // Export exactly what the table shows when it has been filtered or sorted
+        if (this.resultTables[category]) {
+            data = this.resultTables[category].visibleRows();
+        }
+
+        if (data.length === 0) {
+            alert(`No ${displayName.toLowerCase()} found to export.`);
+            return;
+        }
+
+        const csvContent = this.convertToCSV(data, category);
+        this.downloadCSV(csvContent, filename);
+        
+        // Show success message
+        this.showExportSuccess(displayName, data.length);
+    }
+
+    // Whole-run exports: 'xlsx' workbook, 'json' results, or 'signoff' printable report
+    exportReport(format) {
+        if (!this.currentResults) {
+            alert('No results available for export. Please run reconciliation first.');
+            return;
+        }
+
+        const report = new ReconciliationReport(this.currentResults, {
+            resolutionFor: (category, row) => this.resolutionFor(category, row)
+        });
+        const timestamp = new Date().toISOString().split('T')[0];
+
+        switch (format) {
+            case 'xlsx':
+                this.downloadBlob(report.workbook(), `reconciliation-report-${timestamp}.xlsx`);
+                break;
+            case 'json':
+                this.downloadBlob(new Blob([report.json()], { type: 'application/json' }), `reconciliation-results-${timestamp}.json`);
+                break;
+            case 'signoff': {
+                const html = report.signOffHtml();
+                const reportWindow = window.open('', '_blank');
+                if (reportWindow) {
+                    reportWindow.document.write(html);
+                    reportWindow.document.close();
+                    reportWindow.focus();
+                    reportWindow.print();
+                } else {
+                    // Pop-ups blocked: hand over the page to print from the browser instead
+                    this.downloadBlob(new Blob([html], { type: 'text/html' }), `reconciliation-signoff-${timestamp}.html`);
+                }
+                break;
+            }
+            default:
+                alert('Invalid report format');
+        }
+    }
+
+    showExportSuccess(categoryName, recordCount) {
+        // Create a temporary success message
+        const successDiv = document.createElement('div');
+        successDiv.className = 'export-success';
+        successDiv.innerHTML = `
+            <div style="
+                background: linear-gradient(135deg, #27ae60, #2ecc71);
+                color: white;
                 padding: 15px 20px;
                 border-radius: 10px;
                 margin: 10px 0;
@@ -389,34 +1440,632 @@ class ReconciliationTool {
             </div>
         `;
 
-       
-        const style = document.createElement('style');
-        style.textContent = `
-            @keyframes slideIn {
-                from { transform: translateY(-20px); opacity: 0; }
-                to { transform: translateY(0); opacity: 1; }
-            }
+       
+        const style = document.createElement('style');
+        style.textContent = `
+            @keyframes slideIn {
+                from { transform: translateY(-20px); opacity: 0; }
+                to { transform: translateY(0); opacity: 1; }
+            }
+        `;
+        document.head.appendChild(style);
+
+       
+        const resultsSection = document.getElementById('resultsSection');
+        resultsSection.insertBefore(successDiv, resultsSection.firstChild);
+
+        // Remove the message after 3 seconds
+        setTimeout(() => {
+            if (successDiv.parentNode) {
+                successDiv.parentNode.removeChild(successDiv);
+            }
+        }, 3000);
+    }
+
+    // Rows that never reached matching: unreadable ones, or ones left out after the data-quality check
+    renderSkippedRows(category, title, rows) {
+        if (rows.length === 0) {
+            return '';
+        }
+        return `
+            <div class="table-section">
+                <div class="table-header">
+                    <h3>${title}</h3>
+                    <button class="export-btn" onclick="reconciliationTool.exportCategory('${category}')">
+                        📥 Export as CSV
+                    </button>
+                </div>
+                <div class="result-table" data-category="${category}"></div>
+            </div>
+        `;
+    }
+
+    describeMatchRule(match) {
+        if (match.match_rule === 'suggestion') {
+            return `Accepted suggestion (${Math.round(match.confidence * 100)}% confidence: ${match.match_reasons.join(', ')})`;
+        }
+        if (!match.match_rule || match.match_rule === MatchRules.DEFAULT_PROFILE.passes[0].name) {
+            return 'Same transaction reference';
+        }
+        return `Matching rule “${match.match_rule}” on key ${this.masked('reference', match.match_key, match.internal)}`;
+    }
+
+    // Side-by-side view of both rows behind a pair, highlighting the fields that disagree
+    showMatchDetail(match, category) {
+        const panel = document.getElementById('detailPanel');
+        const { internal, provider } = match;
+        const text = value => (value ?? '').toString().trim().toLowerCase();
+
+        // Amount, status and date differ by the comparison's own rules; other fields by their text
+        const differs = {
+            amount: !match.amount_match,
+            status: !match.status_match,
+            date: !match.date_match
+        };
+        const normalized = {
+            amount: txn => this.formatMoney(txn),
+            status: txn => txn.status_state,
+            date: txn => DateParser.toISODate(txn.date_ms)
+        };
+
+        const fieldRows = ColumnMapper.FIELDS.map(field => {
+            const different = field.key in differs ? differs[field.key] : text(internal[field.key]) !== text(provider[field.key]);
+            const cell = txn => {
+                const value = this.escapeHtml(this.masked(field.key, txn[field.key], txn) || '—');
+                const detail = normalized[field.key] ? normalized[field.key](txn) : '';
+                return detail ? `${value}<div class="detail-normalized">${this.escapeHtml(detail)}</div>` : value;
+            };
+            return `
+                <tr class="${different ? 'detail-diff' : ''}">
+                    <th>${this.escapeHtml(field.label)}</th>
+                    <td>${cell(internal)}</td>
+                    <td>${cell(provider)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        panel.innerHTML = `
+            <div class="detail-header">
+                <h3>${this.escapeHtml(this.masked('reference', match.transaction_reference, internal))}</h3>
+                <button type="button" class="detail-close" onclick="reconciliationTool.hideMatchDetail()" aria-label="Close">✕</button>
+            </div>
+            <dl class="detail-summary">
+                <dt>Matched by</dt>
+                <dd>${this.escapeHtml(this.describeMatchRule(match))}</dd>
+                <dt>Variance</dt>
+                <dd class="${match.variance ? 'variance' : ''}">${this.escapeHtml(this.formatVariance(match))}</dd>
+                ${match.fx_rate ? `<dt>FX rate</dt><dd>${this.escapeHtml(match.fx_rate)}</dd>` : ''}
+                ${match.actual_fee !== null || match.expected_fee !== null ? `
+                    <dt>Fee</dt>
+                    <dd>${this.escapeHtml(Money.format(match.actual_fee, match.currency))} charged, ${this.escapeHtml(Money.format(match.expected_fee, match.currency))} expected</dd>
+                ` : ''}
+                <dt>Date drift</dt>
+                <dd>${match.date_drift_days === null ? 'N/A' : `${match.date_drift_days} day${match.date_drift_days === 1 ? '' : 's'}`}</dd>
+            </dl>
+            <table class="detail-fields">
+                <thead>
+                    <tr>
+                        <th>Field</th>
+                        <th>Internal</th>
+                        <th>Provider</th>
+                    </tr>
+                </thead>
+                <tbody>${fieldRows}</tbody>
+            </table>
+            <div class="detail-raw-columns">
+                ${this.renderRawColumns('Internal CSV', internal)}
+                ${this.renderRawColumns('Provider CSV', provider)}
+            </div>
+            ${category === 'mismatched' ? this.renderResolutionForm(category, match) : ''}
+        `;
+        this.detailTarget = { category, row: match };
+        panel.style.display = 'block';
+    }
+
+    showTransactionDetail(category, txn) {
+        const panel = document.getElementById('detailPanel');
+
+        panel.innerHTML = `
+            <div class="detail-header">
+                <h3>${this.escapeHtml(this.masked('reference', txn.reference, txn) || `Line ${txn.line}`)}</h3>
+                <button type="button" class="detail-close" onclick="reconciliationTool.hideMatchDetail()" aria-label="Close">✕</button>
+            </div>
+            <dl class="detail-summary">
+                <dt>Found in</dt>
+                <dd>${{ internal_only: 'Internal system only', provider_only: 'Provider statement only', bank_only: 'Bank statement only' }[category]}</dd>
+                ${txn.carried_from ? `
+                    <dt>Carried forward</dt>
+                    <dd>Unresolved since the run of ${this.escapeHtml(new Date(txn.carried_from.reconciled_at).toLocaleString())}</dd>
+                ` : ''}
+                <dt>Amount</dt>
+                <dd>${this.escapeHtml(this.formatMoney(txn))}</dd>
+                <dt>Status</dt>
+                <dd>${this.getStatusBadge(txn.status || 'N/A', txn.status_state)}</dd>
+                <dt>Date</dt>
+                <dd>${this.escapeHtml(txn.date || 'N/A')}</dd>
+            </dl>
+            <div class="detail-raw-columns">
+                ${this.renderRawColumns({ internal_only: 'Internal CSV', provider_only: 'Provider CSV', bank_only: 'Bank statement' }[category], txn)}
+            </div>
+            ${this.renderResolutionForm(category, txn)}
         `;
-        document.head.appendChild(style);
+        this.detailTarget = { category, row: txn };
+        panel.style.display = 'block';
+    }
 
-       
-        const resultsSection = document.getElementById('resultsSection');
-        resultsSection.insertBefore(successDiv, resultsSection.firstChild);
+    // A provider payout with the transactions it bundles and the bank line it was linked to
+    showPayoutDetail(category, payout) {
+        const panel = document.getElementById('detailPanel');
 
-        // Remove the message after 3 seconds
-        setTimeout(() => {
-            if (successDiv.parentNode) {
-                successDiv.parentNode.removeChild(successDiv);
+        panel.innerHTML = `
+            <div class="detail-header">
+                <h3>${this.escapeHtml(payout.reference)}</h3>
+                <button type="button" class="detail-close" onclick="reconciliationTool.hideMatchDetail()" aria-label="Close">✕</button>
+            </div>
+            <dl class="detail-summary">
+                <dt>Payout</dt>
+                <dd>${payout.method === 'batch_id' ? 'Provider batch' : 'Single transaction'} of ${payout.transactions.length} transaction${payout.transactions.length === 1 ? '' : 's'}</dd>
+                <dt>Expected in bank</dt>
+                <dd>${this.escapeHtml(Money.format(payout.expected_minor, payout.currency))}</dd>
+                ${payout.bank ? `
+                    <dt>Bank line</dt>
+                    <dd>${this.escapeHtml(this.masked('reference', payout.bank.reference, payout.bank) || `Line ${payout.bank.line}`)}: ${this.escapeHtml(this.formatMoney(payout.bank))} on ${this.escapeHtml(payout.bank.date || 'N/A')}</dd>
+                    <dt>Linked by</dt>
+                    <dd>${payout.match_method === 'reference' ? 'Payout ID on the bank line' : 'Amount and date'}</dd>
+                    <dt>Variance</dt>
+                    <dd class="${payout.variance ? 'variance' : ''}">${this.escapeHtml(Money.format(payout.variance, payout.currency))}</dd>
+                ` : `
+                    <dt>Bank line</dt>
+                    <dd>None found within the settlement window</dd>
+                `}
+            </dl>
+            <table class="detail-fields">
+                <thead>
+                    <tr>
+                        <th>Reference</th>
+                        <th>Net Amount</th>
+                        <th>Date</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${payout.transactions.map(txn => `
+                        <tr>
+                            <td>${this.escapeHtml(this.masked('reference', txn.reference, txn) || `Line ${txn.line}`)}</td>
+                            <td>${this.escapeHtml(Money.format(SettlementMatcher.net(txn), txn.currency))}</td>
+                            <td>${this.escapeHtml(txn.date || 'N/A')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${payout.bank ? `<div class="detail-raw-columns">${this.renderRawColumns('Bank statement', payout.bank)}</div>` : ''}
+            ${this.renderResolutionForm(category, payout)}
+        `;
+        this.detailTarget = { category, row: payout };
+        panel.style.display = 'block';
+    }
+
+    // ✓ or ✗ for one hop of the three-way view
+    renderHop(confirmed) {
+        return confirmed ? SafeHtml.html`<span class="hop hop-confirmed">✓</span>` : SafeHtml.html`<span class="hop hop-missing">✗</span>`;
+    }
+
+    renderBankHop(entry) {
+        switch (entry.settlement) {
+            case 'settled':
+                return this.renderHop(true);
+            case 'mismatch':
+                return SafeHtml.html`<span class="hop hop-partial" title="Payout amount differs">≠</span>`;
+            case 'unsettled':
+                return this.renderHop(false);
+            default:
+                // Not paid out (yet), so not expected in the bank
+                return '—';
+        }
+    }
+
+    describeBreak(issue) {
+        return {
+            missing_at_provider: 'Not at provider',
+            missing_in_ledger: 'Not in ledger',
+            unsettled: 'Payout not in bank',
+            settlement_mismatch: 'Payout amount differs in bank'
+        }[issue] || '—';
+    }
+
+    renderRawColumns(title, txn) {
+        return `
+            <div class="detail-raw">
+                <h4>${this.escapeHtml(title)} (line ${this.escapeHtml(txn.line)})</h4>
+                <table>
+                    ${Object.entries(txn.raw || {}).map(([column, value]) => `
+                        <tr>
+                            <th>${this.escapeHtml(column)}</th>
+                            <td>${this.escapeHtml(this.masker.column(column, value, txn))}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </div>
+        `;
+    }
+
+    hideMatchDetail() {
+        document.getElementById('detailPanel').style.display = 'none';
+        this.detailTarget = null;
+    }
+
+    resultTableConfig(category) {
+        const status = txn => this.getStatusBadge(txn.status || 'N/A', txn.status_state);
+        const transactionColumns = [
+            {
+                label: 'Transaction Reference',
+                render: txn => SafeHtml.html`
+                    <strong>${this.masked('reference', txn.reference, txn) || 'N/A'}</strong>
+                    ${txn.carried_from ? SafeHtml.html`<span class="carried-badge">Carried forward</span>` : ''}
+                `,
+                sort: txn => txn.reference
+            },
+            { label: 'Amount', render: txn => this.formatMoney(txn), sort: txn => txn.amount_minor },
+            { label: 'Status', render: status, sort: txn => txn.status_state },
+            { label: 'Date', render: txn => txn.date || 'N/A', sort: txn => txn.date_ms }
+        ];
+
+        const stateOrder = Object.keys(ExceptionStore.STATES);
+        const resolutionColumn = {
+            label: 'Resolution',
+            render: row => this.renderResolutionBadge(this.resolutionFor(category, row)),
+            sort: row => stateOrder.indexOf((this.resolutionFor(category, row) || { state: 'open' }).state)
+        };
+
+        switch (category) {
+            case 'matched':
+                return {
+                    emptyMessage: 'No perfect matches found',
+                    onRowClick: match => this.showMatchDetail(match, category),
+                    transactions: match => [match.internal, match.provider],
+                    columns: [
+                        { label: 'Transaction Reference', render: match => SafeHtml.html`<strong>${this.masked('reference', match.transaction_reference, match.internal)}</strong>`, sort: match => match.transaction_reference },
+                        { label: 'Amount', render: match => this.renderInternalAmount(match), sort: match => match.internal.amount_minor },
+                        { label: 'Status', render: match => status(match.internal), sort: match => match.internal.status_state },
+                        { label: 'Date', render: match => match.internal.date || 'N/A', sort: match => match.internal.date_ms },
+                        { label: 'Match Rule', render: match => match.match_rule || '', sort: match => match.match_rule }
+                    ]
+                };
+            case 'mismatched':
+                return {
+                    emptyMessage: 'No mismatched transactions',
+                    onRowClick: match => this.showMatchDetail(match, category),
+                    isOpen: match => !ExceptionStore.isClosed(this.resolutionFor(category, match)),
+                    transactions: match => [match.internal, match.provider],
+                    columns: [
+                        { label: 'Reference', render: match => SafeHtml.html`<strong>${this.masked('reference', match.transaction_reference, match.internal)}</strong>`, sort: match => match.transaction_reference },
+                        { label: 'Internal Amount', render: match => this.renderInternalAmount(match), sort: match => match.internal.amount_minor },
+                        { label: 'Provider Amount', render: match => this.formatMoney(match.provider), sort: match => match.provider.amount_minor },
+                        {
+                            label: 'Variance',
+                            render: match => SafeHtml.html`<span class="${match.variance ? 'variance' : ''}">${this.formatVariance(match)}</span>`,
+                            sort: match => match.variance === null ? null : Math.abs(match.variance)
+                        },
+                        {
+                            label: 'Dates',
+                            render: match => SafeHtml.html`
+                                ${match.internal.date || 'N/A'} / ${match.provider.date || 'N/A'}
+                                ${match.date_match ? '' : SafeHtml.html`<div class="date-drift">Drift: ${match.date_drift_days} days</div>`}
+                            `,
+                            sort: match => match.date_drift_days
+                        },
+                        { label: 'Internal Status', render: match => status(match.internal), sort: match => match.internal.status_state },
+                        { label: 'Provider Status', render: match => status(match.provider), sort: match => match.provider.status_state },
+                        resolutionColumn
+                    ]
+                };
+            case 'three_way':
+                return {
+                    emptyMessage: 'No transactions',
+                    transactions: entry => [entry],
+                    columns: [
+                        { label: 'Transaction Reference', render: entry => SafeHtml.html`<strong>${this.masked('reference', entry.reference) || 'N/A'}</strong>`, sort: entry => entry.reference },
+                        { label: 'Amount', render: entry => this.formatMoney(entry), sort: entry => entry.amount_minor },
+                        { label: 'Ledger', render: entry => this.renderHop(entry.in_ledger), sort: entry => entry.in_ledger },
+                        { label: 'Provider', render: entry => this.renderHop(entry.at_provider), sort: entry => entry.at_provider },
+                        { label: 'Bank', render: entry => this.renderBankHop(entry), sort: entry => ['settled', 'mismatch', 'unsettled'].indexOf(entry.settlement) },
+                        { label: 'Payout', render: entry => entry.payout || '—', sort: entry => entry.payout },
+                        { label: 'Break', render: entry => this.describeBreak(entry.issue), sort: entry => entry.issue }
+                    ]
+                };
+            case 'settlement_mismatches':
+            case 'unsettled_payouts':
+                return {
+                    emptyMessage: 'No payouts',
+                    transactions: payout => payout.bank ? [...payout.transactions, payout.bank] : payout.transactions,
+                    onRowClick: payout => this.showPayoutDetail(category, payout),
+                    isOpen: payout => !ExceptionStore.isClosed(this.resolutionFor(category, payout)),
+                    columns: [
+                        { label: 'Payout', render: payout => SafeHtml.html`<strong>${payout.reference}</strong>`, sort: payout => payout.reference },
+                        { label: 'Transactions', render: payout => payout.transactions.length, sort: payout => payout.transactions.length },
+                        { label: 'Expected', render: payout => Money.format(payout.expected_minor, payout.currency), sort: payout => payout.expected_minor },
+                        ...(category === 'settlement_mismatches' ? [
+                            { label: 'In Bank', render: payout => Money.format(payout.bank_minor, payout.currency), sort: payout => payout.bank_minor },
+                            {
+                                label: 'Variance',
+                                render: payout => SafeHtml.html`<span class="variance">${payout.variance > 0 ? '+' : ''}${Money.format(payout.variance, payout.currency)}</span>`,
+                                sort: payout => payout.variance === null ? null : Math.abs(payout.variance)
+                            },
+                            { label: 'Bank Reference', render: payout => this.masked('reference', payout.bank.reference, payout.bank) || `Line ${payout.bank.line}`, sort: payout => payout.bank.reference }
+                        ] : []),
+                        { label: 'Payout Date', render: payout => DateParser.toISODate(payout.date_ms) || 'N/A', sort: payout => payout.date_ms },
+                        resolutionColumn
+                    ]
+                };
+            case 'status_timing':
+                return {
+                    emptyMessage: 'No pending transactions',
+                    onRowClick: match => this.showMatchDetail(match, category),
+                    transactions: match => [match.internal, match.provider],
+                    columns: [
+                        { label: 'Reference', render: match => SafeHtml.html`<strong>${this.masked('reference', match.transaction_reference, match.internal)}</strong>`, sort: match => match.transaction_reference },
+                        { label: 'Amount', render: match => this.formatMoney(match.provider), sort: match => match.provider.amount_minor },
+                        { label: 'Internal Status', render: match => status(match.internal), sort: match => match.internal.status_state },
+                        { label: 'Provider Status', render: match => status(match.provider), sort: match => match.provider.status_state }
+                    ]
+                };
+            case 'timing_differences':
+                return {
+                    emptyMessage: 'No timing differences',
+                    transactions: timing => [timing.transaction],
+                    columns: [
+                        { label: 'Transaction Reference', render: timing => SafeHtml.html`<strong>${this.masked('reference', timing.transaction.reference, timing.transaction) || 'N/A'}</strong>`, sort: timing => timing.transaction.reference },
+                        { label: 'Found In', render: timing => timing.side === 'internal' ? 'Internal System' : 'Provider Statement', sort: timing => timing.side },
+                        { label: 'Amount', render: timing => this.formatMoney(timing.transaction), sort: timing => timing.transaction.amount_minor },
+                        { label: 'Date', render: timing => timing.transaction.date || 'N/A', sort: timing => timing.transaction.date_ms },
+                        {
+                            label: 'Near',
+                            render: timing => `${timing.boundary === 'start' ? 'Period start' : 'Period end'} (${timing.days_from_boundary} day${timing.days_from_boundary === 1 ? '' : 's'})`,
+                            sort: timing => timing.days_from_boundary
+                        }
+                    ]
+                };
+            case 'fee_deviations':
+                return {
+                    emptyMessage: 'No fee deviations',
+                    onRowClick: match => this.showMatchDetail(match, category),
+                    transactions: match => [match.internal, match.provider],
+                    columns: [
+                        { label: 'Reference', render: match => SafeHtml.html`<strong>${this.masked('reference', match.transaction_reference, match.internal)}</strong>`, sort: match => match.transaction_reference },
+                        { label: 'Gross Amount', render: match => this.formatMoney(match.provider), sort: match => match.provider.amount_minor },
+                        { label: 'Fee Charged', render: match => Money.format(match.actual_fee, match.currency), sort: match => match.actual_fee },
+                        { label: 'Expected Fee', render: match => Money.format(match.expected_fee, match.currency), sort: match => match.expected_fee },
+                        {
+                            label: 'Deviation',
+                            render: match => SafeHtml.html`<span class="variance">${match.fee_deviation > 0 ? '+' : ''}${Money.format(match.fee_deviation, match.currency)}</span>`,
+                            sort: match => Math.abs(match.fee_deviation)
+                        }
+                    ]
+                };
+            case 'duplicates': {
+                const lines = rows => rows.length === 0 ? '—' : rows.map((txn, index) => SafeHtml.html`${index > 0 ? ', ' : ''}Line ${txn.line}: ${this.formatMoney(txn)} ${status(txn)}`);
+                return {
+                    emptyMessage: 'No duplicate references',
+                    transactions: duplicate => [...duplicate.internal, ...duplicate.provider],
+                    columns: [
+                        { label: 'Transaction Reference', render: duplicate => SafeHtml.html`<strong>${this.masked('reference', duplicate.reference)}</strong>`, sort: duplicate => duplicate.reference },
+                        { label: 'Internal Rows', render: duplicate => lines(duplicate.internal), sort: duplicate => duplicate.internal.length },
+                        { label: 'Provider Rows', render: duplicate => lines(duplicate.provider), sort: duplicate => duplicate.provider.length }
+                    ]
+                };
             }
-        }, 3000);
+            case 'groups': {
+                const references = rows => rows.map(txn => this.masked('reference', txn.reference, txn) || 'N/A').join(', ');
+                return {
+                    emptyMessage: 'No group matches',
+                    transactions: group => [...group.internal, ...group.provider],
+                    columns: [
+                        { label: 'Group', render: group => SafeHtml.html`<strong>${this.masked(group.method === 'batch_id' ? 'batch_id' : 'reference', group.key) || 'N/A'}</strong>`, sort: group => group.key },
+                        { label: 'Method', render: group => group.method === 'batch_id' ? 'Batch ID' : 'Amount Sum', sort: group => group.method },
+                        { label: 'Internal Transactions', render: group => references(group.internal), sort: group => group.internal.length },
+                        { label: 'Provider Transactions', render: group => references(group.provider), sort: group => group.provider.length },
+                        { label: 'Internal Total', render: group => Money.format(group.internal_total, group.currency), sort: group => group.internal_total },
+                        { label: 'Provider Total', render: group => Money.format(group.provider_total, group.currency), sort: group => group.provider_total }
+                    ]
+                };
+            }
+            case 'suggested':
+                return {
+                    emptyMessage: 'No suggested matches',
+                    transactions: suggestion => [suggestion.internal, suggestion.provider],
+                    columns: [
+                        { label: 'Internal Reference', render: suggestion => SafeHtml.html`<strong>${this.masked('reference', suggestion.internal.reference, suggestion.internal) || 'N/A'}</strong>`, sort: suggestion => suggestion.internal.reference },
+                        { label: 'Provider Reference', render: suggestion => SafeHtml.html`<strong>${this.masked('reference', suggestion.provider.reference, suggestion.provider) || 'N/A'}</strong>`, sort: suggestion => suggestion.provider.reference },
+                        { label: 'Amount', render: suggestion => this.formatMoney(suggestion.internal), sort: suggestion => suggestion.internal.amount_minor },
+                        { label: 'Dates', render: suggestion => `${suggestion.internal.date || 'N/A'} / ${suggestion.provider.date || 'N/A'}`, sort: suggestion => suggestion.internal.date_ms },
+                        { label: 'Confidence', render: suggestion => SafeHtml.html`<span class="confidence-badge">${Math.round(suggestion.confidence * 100)}%</span>`, sort: suggestion => suggestion.confidence },
+                        { label: 'Why', render: suggestion => suggestion.reasons.join(', ') },
+                        {
+                            label: '',
+                            // Accept and reject take the suggestion's place in the results, not in the sorted view
+                            render: suggestion => {
+                                const index = this.currentResults.suggested.indexOf(suggestion);
+                                return SafeHtml.html`
+                                    <span class="suggestion-actions">
+                                        <button class="accept-btn" onclick="reconciliationTool.acceptSuggestion(${index})">Accept</button>
+                                        <button class="reject-btn" onclick="reconciliationTool.rejectSuggestion(${index})">Reject</button>
+                                    </span>
+                                `;
+                            }
+                        }
+                    ]
+                };
+            case 'rejected':
+            case 'excluded':
+                return {
+                    emptyMessage: 'No skipped rows',
+                    // Skipped rows never became transactions; the reason and raw text are enough to search on
+                    transactions: row => [{ reference: row.source, description: row.reason, counterparty: this.masker.text(row.raw), amount_minor: null, date_ms: null }],
+                    columns: [
+                        { label: 'Source', render: row => row.source, sort: row => row.source },
+                        { label: 'Line', render: row => row.line, sort: row => row.line },
+                        { label: 'Reason', render: row => row.reason, sort: row => row.reason },
+                        { label: 'Raw Row', render: row => SafeHtml.html`<code>${this.masker.text(row.raw)}</code>` }
+                    ]
+                };
+            default:
+                return {
+                    emptyMessage: 'No transactions',
+                    transactions: txn => [txn],
+                    onRowClick: txn => this.showTransactionDetail(category, txn),
+                    isOpen: txn => !ExceptionStore.isClosed(this.resolutionFor(category, txn)),
+                    columns: [...transactionColumns, resolutionColumn]
+                };
+        }
+    }
+
+    // Table filters change on every keystroke, so the charts redraw at most once a frame
+    scheduleAnalytics() {
+        if (this.analyticsFrame) {
+            return;
+        }
+        this.analyticsFrame = requestAnimationFrame(() => {
+            this.analyticsFrame = null;
+            this.renderAnalytics();
+        });
+    }
+
+    async loadAnalyticsHistory() {
+        try {
+            this.analyticsHistory = await this.runHistory.list();
+        } catch (error) {
+            this.analyticsHistory = [];
+        }
+        this.scheduleAnalytics();
+    }
+
+    setAnalyticsCurrency(currency) {
+        this.analyticsCurrency = currency;
+        this.renderAnalytics();
+    }
+
+    renderAnalytics() {
+        const panel = document.getElementById('analyticsPanel');
+        const results = this.currentResults;
+        if (!panel || !results) {
+            return;
+        }
+
+        // Categories shown in a filterable table contribute only the rows left visible
+        const analytics = new ReconciliationAnalytics(results, category => this.resultTables[category]
+            ? this.resultTables[category].visibleRows()
+            : results[category] || []);
+        const filtered = Object.values(this.resultTables).some(table => table.visibleRows().length !== table.rows.length);
+        const currencies = analytics.currencies();
+        if (!currencies.includes(this.analyticsCurrency)) {
+            this.analyticsCurrency = currencies[0] ?? '';
+        }
+        const currency = this.analyticsCurrency;
+        const money = minor => Money.format(Math.round(minor), currency);
+
+        const period = (results.settings || {}).period || {};
+        const asOf = DateParser.parse(period.end, 'DMY') ?? Date.parse(results.run.reconciled_at);
+        const aging = analytics.aging(currency, asOf);
+        // A ceiling divisible by four keeps the aging axis on whole numbers of items
+        const agingMax = Math.ceil(Math.max(...aging.flatMap(bucket => [bucket.internal, bucket.provider])) / 4) * 4 || 4;
+        const history = ReconciliationAnalytics.matchRateSeries(this.analyticsHistory || []);
+        const discrepancies = analytics.largestDiscrepancies(currency);
+
+        panel.innerHTML = `
+            <div class="table-header">
+                <h3>📈 Analytics</h3>
+                ${currencies.length > 1 ? `
+                    <label class="analytics-currency">Currency
+                        <select onchange="reconciliationTool.setAnalyticsCurrency(this.value)">
+                            ${currencies.map(code => `<option value="${this.escapeHtml(code)}" ${code === currency ? 'selected' : ''}>${this.escapeHtml(code || 'No currency')}</option>`).join('')}
+                        </select>
+                    </label>
+                ` : ''}
+            </div>
+            ${filtered ? '<p class="analytics-note">Figures reflect the filters applied to the tables below.</p>' : ''}
+            <div class="analytics-grid">
+                <div class="analytics-card">
+                    <h4>Value by Category${currency ? ` (${this.escapeHtml(currency)})` : ''}</h4>
+                    <table class="analytics-table">
+                        <thead>
+                            <tr><th>Category</th><th>Items</th><th>Value</th></tr>
+                        </thead>
+                        <tbody>
+                            ${analytics.valueTotals(currency).map(total => `
+                                <tr>
+                                    <td>${this.escapeHtml(total.label)}</td>
+                                    <td>${total.count}</td>
+                                    <td>${this.escapeHtml(Money.format(total.minor, currency))}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="analytics-card">
+                    <h4>Match Rate by Run</h4>
+                    ${SvgChart.line(history, {
+                        max: 1,
+                        format: value => `${Math.round(value * 100)}%`,
+                        emptyMessage: 'No saved runs yet'
+                    })}
+                </div>
+                <div class="analytics-card">
+                    <h4>Variance by Status</h4>
+                    ${SvgChart.bars(analytics.varianceByStatus(currency).map(item => ({ label: item.label, values: [item.value] })), {
+                        format: money,
+                        emptyMessage: 'No amount mismatches'
+                    })}
+                </div>
+                <div class="analytics-card">
+                    <h4>Variance by Day</h4>
+                    ${SvgChart.bars(analytics.varianceByDay(currency).map(item => ({ label: item.label, values: [item.value] })), {
+                        format: money,
+                        emptyMessage: 'No amount mismatches'
+                    })}
+                </div>
+                <div class="analytics-card">
+                    <h4>Aging of Unmatched Items</h4>
+                    ${SvgChart.bars(aging.map(bucket => ({ label: bucket.label, values: [bucket.internal, bucket.provider] })), {
+                        series: ['Internal only', 'Provider only'],
+                        max: agingMax
+                    })}
+                    <p class="analytics-note">Age as of ${this.escapeHtml(DateParser.toISODate(asOf) || 'today')}: ${aging.map(bucket => `${this.escapeHtml(bucket.label)} ${this.escapeHtml(Money.format(bucket.internal_minor + bucket.provider_minor, currency))}`).join(' · ')}</p>
+                </div>
+                <div class="analytics-card">
+                    <h4>Largest Discrepancies</h4>
+                    ${discrepancies.length === 0 ? SvgChart.empty('No open discrepancies') : `
+                    <table class="analytics-table">
+                        <thead>
+                            <tr><th>Reference</th><th>Category</th><th>Date</th><th>Amount</th></tr>
+                        </thead>
+                        <tbody>
+                            ${discrepancies.map(entry => `
+                                <tr>
+                                    <td><strong>${this.escapeHtml(this.masked('reference', entry.reference) || 'N/A')}</strong></td>
+                                    <td>${this.escapeHtml(entry.category)}</td>
+                                    <td>${this.escapeHtml(entry.date || 'N/A')}</td>
+                                    <td>${this.escapeHtml(Money.format(entry.minor, currency))}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    `}
+                </div>
+            </div>
+        `;
     }
 
-    displayResults(results) {
+    displayResults(results, scroll = true) {
         const resultsSection = document.getElementById('resultsSection');
+        const threeWay = results.summary.total_bank !== null && results.summary.total_bank !== undefined;
         
         const html = `
             <div class="results-section">
                 <h2>📊 Reconciliation Results</h2>
+                <div class="report-actions">
+                    <button class="export-btn" onclick="reconciliationTool.exportReport('xlsx')">📘 Export Workbook (XLSX)</button>
+                    <button class="export-btn" onclick="reconciliationTool.exportReport('json')">🧾 Export JSON</button>
+                    <button class="export-btn" onclick="reconciliationTool.exportReport('signoff')">🖨️ Sign-off Report (PDF)</button>
+                </div>
                 
                 <!-- Summary Cards -->
                 <div class="summary-cards">
@@ -428,6 +2077,40 @@ class ReconciliationTool {
                         <h3>⚠️ Mismatched</h3>
                         <div class="count">${results.summary.mismatched_count}</div>
                     </div>
+                    <div class="summary-card timing">
+                        <h3>⏳ Pending vs Settled</h3>
+                        <div class="count">${results.summary.status_timing_count}</div>
+                    </div>
+                    <div class="summary-card timing">
+                        <h3>📅 Timing Differences</h3>
+                        <div class="count">${results.summary.timing_difference_count}</div>
+                    </div>
+                    <div class="summary-card fees">
+                        <h3>💸 Fee Deviations</h3>
+                        <div class="count">${results.summary.fee_deviation_count}</div>
+                        ${results.summary.fee_totals.map(total => `
+                            <p class="summary-detail">Charged ${this.escapeHtml(Money.format(total.charged, total.currency))} vs expected ${this.escapeHtml(Money.format(total.expected, total.currency))}</p>
+                        `).join('')}
+                    </div>
+                    ${results.summary.carried_forward_count > 0 ? `
+                    <div class="summary-card carried">
+                        <h3>↩️ Carried Forward</h3>
+                        <div class="count">${results.summary.carried_forward_count}</div>
+                        <p class="summary-detail">${results.summary.carried_forward_count - results.summary.carried_open_count} cleared, ${results.summary.carried_open_count} still open</p>
+                    </div>
+                    ` : ''}
+                    <div class="summary-card suggested">
+                        <h3>🔍 Suggested Matches</h3>
+                        <div class="count">${results.summary.suggested_count}</div>
+                    </div>
+                    <div class="summary-card grouped">
+                        <h3>🧩 Group Matches</h3>
+                        <div class="count">${results.summary.group_count}</div>
+                    </div>
+                    <div class="summary-card duplicate">
+                        <h3>♻️ Duplicates</h3>
+                        <div class="count">${results.summary.duplicate_count}</div>
+                    </div>
                     <div class="summary-card discrepancy">
                         <h3>📋 Internal Only</h3>
                         <div class="count">${results.summary.internal_only_count}</div>
@@ -436,8 +2119,54 @@ class ReconciliationTool {
                         <h3>🏦 Provider Only</h3>
                         <div class="count">${results.summary.provider_only_count}</div>
                     </div>
+                    <div class="summary-card mismatched">
+                        <h3>📉 Total Variance</h3>
+                        ${results.summary.variance_totals.length === 0 ? '<div class="count">0</div>' : results.summary.variance_totals.map(total => `
+                            <div class="count">${this.escapeHtml(Money.format(total.net, total.currency))}</div>
+                            <p class="summary-detail">Absolute: ${this.escapeHtml(Money.format(total.absolute, total.currency))}</p>
+                        `).join('')}
+                    </div>
+                    ${threeWay ? `
+                    <div class="summary-card bank">
+                        <h3>🏛️ Confirmed in Bank</h3>
+                        <div class="count">${results.summary.three_way_confirmed_count}</div>
+                        <p class="summary-detail">of ${results.three_way.length} transactions, ${results.summary.settlement_count} payouts settled</p>
+                    </div>
+                    <div class="summary-card mismatched">
+                        <h3>⚖️ Settlement Mismatches</h3>
+                        <div class="count">${results.summary.settlement_mismatch_count}</div>
+                    </div>
+                    <div class="summary-card discrepancy">
+                        <h3>💤 Unsettled Payouts</h3>
+                        <div class="count">${results.summary.unsettled_payout_count}</div>
+                    </div>
+                    <div class="summary-card discrepancy">
+                        <h3>🏛️ Bank Only</h3>
+                        <div class="count">${results.summary.bank_only_count}</div>
+                    </div>
+                    ` : ''}
+                    ${results.summary.rejected_count > 0 ? `
+                    <div class="summary-card rejected">
+                        <h3>🚫 Rejected Rows</h3>
+                        <div class="count">${results.summary.rejected_count}</div>
+                    </div>
+                    ` : ''}
+                    ${results.summary.excluded_count > 0 ? `
+                    <div class="summary-card rejected">
+                        <h3>🧹 Excluded Rows</h3>
+                        <div class="count">${results.summary.excluded_count}</div>
+                        <p class="summary-detail">${Object.values(DataQualityCheck.SOURCES)
+                            .map(source => [source, results.excluded.filter(row => row.source === source).length])
+                            .filter(([, count]) => count > 0)
+                            .map(([source, count]) => `${source}: ${count}`)
+                            .join(' · ')}</p>
+                    </div>
+                    ` : ''}
                 </div>
 
+                <!-- Analytics -->
+                <div class="table-section analytics-section" id="analyticsPanel"></div>
+
                 <!-- Perfect Matches -->
                 <div class="table-section">
                     <div class="table-header">
@@ -448,31 +2177,7 @@ class ReconciliationTool {
                             </button>
                         ` : ''}
                     </div>
-                    <div class="table-container">
-                        <table>
-                            <thead>
-                                <tr>
-                                    <th>Transaction Reference</th>
-                                    <th>Amount</th>
-                                    <th>Status</th>
-                                    <th>Date</th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                ${results.matched.length === 0 ? 
-                                    '<tr><td colspan="4" style="text-align: center; color: #666;">No perfect matches found</td></tr>' :
-                                    results.matched.map(match => `
-                                        <tr>
-                                            <td><strong>${match.transaction_reference}</strong></td>
-                                            <td>$${parseFloat(match.internal.amount || 0).toFixed(2)}</td>
-                                            <td>${this.getStatusBadge(match.internal.status || 'N/A')}</td>
-                                            <td>${match.internal.date || 'N/A'}</td>
-                                        </tr>
-                                    `).join('')
-                                }
-                            </tbody>
-                        </table>
-                    </div>
+                    <div class="result-table" data-category="matched"></div>
                 </div>
 
                 <!-- Mismatched Transactions -->
@@ -484,30 +2189,85 @@ class ReconciliationTool {
                             📥 Export as CSV
                         </button>
                     </div>
-                    <div class="table-container">
-                        <table>
-                            <thead>
-                                <tr>
-                                    <th>Reference</th>
-                                    <th>Internal Amount</th>
-                                    <th>Provider Amount</th>
-                                    <th>Internal Status</th>
-                                    <th>Provider Status</th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                ${results.mismatched.map(match => `
-                                    <tr>
-                                        <td><strong>${match.transaction_reference}</strong></td>
-                                        <td>$${parseFloat(match.internal.amount || 0).toFixed(2)}</td>
-                                        <td>$${parseFloat(match.provider.amount || 0).toFixed(2)}</td>
-                                        <td>${this.getStatusBadge(match.internal.status || 'N/A')}</td>
-                                        <td>${this.getStatusBadge(match.provider.status || 'N/A')}</td>
-                                    </tr>
-                                `).join('')}
-                            </tbody>
-                        </table>
+                    <div class="result-table" data-category="mismatched"></div>
+                </div>
+                ` : ''}
+
+                <!-- Pending vs Settled -->
+                ${results.status_timing.length > 0 ? `
+                <div class="table-section">
+                    <div class="table-header">
+                        <h3>⏳ Pending vs Settled</h3>
+                        <button class="export-btn" onclick="reconciliationTool.exportCategory('status_timing')">
+                            📥 Export as CSV
+                        </button>
+                    </div>
+                    <div class="result-table" data-category="status_timing"></div>
+                </div>
+                ` : ''}
+
+                <!-- Timing Differences -->
+                ${results.timing_differences.length > 0 ? `
+                <div class="table-section">
+                    <div class="table-header">
+                        <h3>📅 Timing Differences</h3>
+                        <button class="export-btn" onclick="reconciliationTool.exportCategory('timing_differences')">
+                            📥 Export as CSV
+                        </button>
+                    </div>
+                    <div class="result-table" data-category="timing_differences"></div>
+                </div>
+                ` : ''}
+
+                <!-- Fee Deviations -->
+                ${results.fee_deviations.length > 0 ? `
+                <div class="table-section">
+                    <div class="table-header">
+                        <h3>💸 Fee Deviations</h3>
+                        <button class="export-btn" onclick="reconciliationTool.exportCategory('fee_deviations')">
+                            📥 Export as CSV
+                        </button>
+                    </div>
+                    <div class="result-table" data-category="fee_deviations"></div>
+                </div>
+                ` : ''}
+
+                <!-- Duplicate References -->
+                ${results.duplicates.length > 0 ? `
+                <div class="table-section">
+                    <div class="table-header">
+                        <h3>♻️ Duplicate References</h3>
+                        <button class="export-btn" onclick="reconciliationTool.exportCategory('duplicates')">
+                            📥 Export as CSV
+                        </button>
+                    </div>
+                    <div class="result-table" data-category="duplicates"></div>
+                </div>
+                ` : ''}
+
+                <!-- Group Matches -->
+                ${results.groups.length > 0 ? `
+                <div class="table-section">
+                    <div class="table-header">
+                        <h3>🧩 Group Matches</h3>
+                        <button class="export-btn" onclick="reconciliationTool.exportCategory('groups')">
+                            📥 Export as CSV
+                        </button>
+                    </div>
+                    <div class="result-table" data-category="groups"></div>
+                </div>
+                ` : ''}
+
+                <!-- Suggested Matches -->
+                ${results.suggested.length > 0 ? `
+                <div class="table-section">
+                    <div class="table-header">
+                        <h3>🔍 Suggested Matches</h3>
+                        <button class="export-btn" onclick="reconciliationTool.exportCategory('suggested')">
+                            📥 Export as CSV
+                        </button>
                     </div>
+                    <div class="result-table" data-category="suggested"></div>
                 </div>
                 ` : ''}
 
@@ -520,28 +2280,7 @@ class ReconciliationTool {
                             📥 Export as CSV
                         </button>
                     </div>
-                    <div class="table-container">
-                        <table>
-                            <thead>
-                                <tr>
-                                    <th>Transaction Reference</th>
-                                    <th>Amount</th>
-                                    <th>Status</th>
-                                    <th>Date</th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                ${results.internal_only.map(txn => `
-                                    <tr>
-                                        <td><strong>${txn.transaction_reference || txn.reference || txn.id || 'N/A'}</strong></td>
-                                        <td>$${parseFloat(txn.amount || 0).toFixed(2)}</td>
-                                        <td>${this.getStatusBadge(txn.status || 'N/A')}</td>
-                                        <td>${txn.date || 'N/A'}</td>
-                                    </tr>
-                                `).join('')}
-                            </tbody>
-                        </table>
-                    </div>
+                    <div class="result-table" data-category="internal_only"></div>
                 </div>
                 ` : ''}
 
@@ -554,38 +2293,89 @@ class ReconciliationTool {
                             📥 Export as CSV
                         </button>
                     </div>
-                    <div class="table-container">
-                        <table>
-                            <thead>
-                                <tr>
-                                    <th>Transaction Reference</th>
-                                    <th>Amount</th>
-                                    <th>Status</th>
-                                    <th>Date</th>
-                                </tr>
-                            </thead>
-                            <tbody>
-                                ${results.provider_only.map(txn => `
-                                    <tr>
-                                        <td><strong>${txn.transaction_reference || txn.reference || txn.id || 'N/A'}</strong></td>
-                                        <td>$${parseFloat(txn.amount || 0).toFixed(2)}</td>
-                                        <td>${this.getStatusBadge(txn.status || 'N/A')}</td>
-                                        <td>${txn.date || 'N/A'}</td>
-                                    </tr>
-                                `).join('')}
-                            </tbody>
-                        </table>
+                    <div class="result-table" data-category="provider_only"></div>
+                </div>
+                ` : ''}
+
+                <!-- Three-Way Status -->
+                ${threeWay ? `
+                <div class="table-section">
+                    <div class="table-header">
+                        <h3>🔗 Three-Way Status</h3>
+                        <button class="export-btn" onclick="reconciliationTool.exportCategory('three_way')">
+                            📥 Export as CSV
+                        </button>
+                    </div>
+                    <div class="result-table" data-category="three_way"></div>
+                </div>
+                ` : ''}
+
+                <!-- Settlement Mismatches -->
+                ${threeWay && results.settlement_mismatches.length > 0 ? `
+                <div class="table-section">
+                    <div class="table-header">
+                        <h3>⚖️ Settlement Mismatches</h3>
+                        <button class="export-btn" onclick="reconciliationTool.exportCategory('settlement_mismatches')">
+                            📥 Export as CSV
+                        </button>
+                    </div>
+                    <div class="result-table" data-category="settlement_mismatches"></div>
+                </div>
+                ` : ''}
+
+                <!-- Unsettled Payouts -->
+                ${threeWay && results.unsettled_payouts.length > 0 ? `
+                <div class="table-section">
+                    <div class="table-header">
+                        <h3>💤 Payouts Not in Bank</h3>
+                        <button class="export-btn" onclick="reconciliationTool.exportCategory('unsettled_payouts')">
+                            📥 Export as CSV
+                        </button>
+                    </div>
+                    <div class="result-table" data-category="unsettled_payouts"></div>
+                </div>
+                ` : ''}
+
+                <!-- Bank Only -->
+                ${threeWay && results.bank_only.length > 0 ? `
+                <div class="table-section">
+                    <div class="table-header">
+                        <h3>🏛️ Bank Statement Only</h3>
+                        <button class="export-btn" onclick="reconciliationTool.exportCategory('bank_only')">
+                            📥 Export as CSV
+                        </button>
                     </div>
+                    <div class="result-table" data-category="bank_only"></div>
                 </div>
                 ` : ''}
+
+                <!-- Rejected and Excluded Rows -->
+                ${this.renderSkippedRows('rejected', '🚫 Rejected Rows', results.rejected)}
+                ${this.renderSkippedRows('excluded', '🧹 Excluded Rows', results.excluded || [])}
             </div>
         `;
 
         resultsSection.innerHTML = html;
         resultsSection.style.display = 'block';
-        
+
+        // Every result list is rendered by a virtualized table rather than inline rows
+        this.resultTables = {};
+        resultsSection.querySelectorAll('.result-table').forEach(container => {
+            const category = container.dataset.category;
+            this.resultTables[category] = new ResultTable(container, {
+                ...this.resultTableConfig(category),
+                rows: results[category] || [],
+                state: this.tableFilters[category] = this.tableFilters[category] || {},
+                mask: (field, value, txn) => this.masked(field, value, txn),
+                onChange: () => this.scheduleAnalytics()
+            });
+        });
+        this.renderAnalytics();
+        this.loadAnalyticsHistory();
        
-        resultsSection.scrollIntoView({ behavior: 'smooth' });
+        if (scroll) {
+            resultsSection.scrollIntoView({ behavior: 'smooth' });
+        }
     }
 }
 
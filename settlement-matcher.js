@@ -0,0 +1,161 @@
+// Third leg of a three-way reconciliation: links provider payouts to the bank
+// credits that settled them. A payout is every provider row sharing a batch/payout
+// ID (or a single row without one) and should reach the bank as one credit for
+// the sum of its net amounts.
+class SettlementMatcher {
+    constructor(options = {}) {
+        this.tolerance = options.tolerance || new AmountTolerance();
+        this.settlementDays = options.settlementDays ?? 3;
+    }
+
+    // What the provider pays out for a row: its net amount, or gross less fee
+    static net(row) {
+        if (row.net_minor !== null && row.net_minor !== undefined) {
+            return row.net_minor;
+        }
+        return row.amount_minor === null ? null : row.amount_minor - (row.fee_minor || 0);
+    }
+
+    // Failed and still-pending rows are never paid out, so they aren't expected in the bank
+    static payable(row) {
+        return row.status_state !== 'failed' && row.status_state !== 'pending';
+    }
+
+    static payouts(providerRows) {
+        const byId = new Map();
+        providerRows.forEach(row => {
+            const id = row.batch_id || row.reference;
+            if (!id || !SettlementMatcher.payable(row)) {
+                return;
+            }
+            if (!byId.has(id)) {
+                byId.set(id, []);
+            }
+            byId.get(id).push(row);
+        });
+
+        return [...byId].map(([id, rows]) => ({
+            reference: id,
+            method: rows[0].batch_id ? 'batch_id' : 'transaction',
+            currency: (rows.find(row => row.currency) || {}).currency || '',
+            expected_minor: rows.reduce((sum, row) => sum + (SettlementMatcher.net(row) || 0), 0),
+            date_ms: rows.reduce((latest, row) => row.date_ms !== null && (latest === null || row.date_ms > latest) ? row.date_ms : latest, null),
+            transactions: rows
+        }));
+    }
+
+    match(providerRows, bankRows) {
+        const payouts = SettlementMatcher.payouts(providerRows);
+        const links = new Map();
+        const used = new Set();
+
+        // The bank line names the payout in its reference, batch ID or description
+        const byToken = new Map();
+        bankRows.forEach(row => {
+            const tokens = [row.reference, row.batch_id, ...(row.description || '').split(/[^A-Za-z0-9_.\-/]+/)];
+            tokens.filter(token => token && token.length >= 4).forEach(token => {
+                if (!byToken.has(token)) {
+                    byToken.set(token, []);
+                }
+                byToken.get(token).push(row);
+            });
+        });
+
+        payouts.forEach(payout => {
+            const bank = (byToken.get(payout.reference) || []).find(row => !used.has(row));
+            if (bank) {
+                used.add(bank);
+                links.set(payout, { bank, method: 'reference' });
+            }
+        });
+
+        // Otherwise the closest unused credit for the same amount within the settlement window
+        const sorted = bankRows
+            .filter(row => row.amount_minor !== null && !used.has(row))
+            .sort((a, b) => a.amount_minor - b.amount_minor);
+        const lowerBound = minor => {
+            let low = 0;
+            let high = sorted.length;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (sorted[mid].amount_minor < minor) {
+                    low = mid + 1;
+                } else {
+                    high = mid;
+                }
+            }
+            return low;
+        };
+
+        payouts
+            .filter(payout => !links.has(payout))
+            .sort((a, b) => (a.date_ms ?? 0) - (b.date_ms ?? 0))
+            .forEach(payout => {
+                const allowance = this.tolerance.allowance(payout.expected_minor, payout.currency);
+                let best = null;
+
+                for (let i = lowerBound(payout.expected_minor - allowance); i < sorted.length; i++) {
+                    const row = sorted[i];
+                    if (row.amount_minor > payout.expected_minor + allowance) {
+                        break;
+                    }
+                    if (used.has(row) || (row.currency && payout.currency && row.currency !== payout.currency)) {
+                        continue;
+                    }
+                    const lag = this.lagDays(payout, row);
+                    if (lag < 0 || lag > this.settlementDays) {
+                        continue;
+                    }
+                    if (!best || lag < best.lag) {
+                        best = { row, lag };
+                    }
+                }
+
+                if (best) {
+                    used.add(best.row);
+                    links.set(payout, { bank: best.row, method: 'amount' });
+                }
+            });
+
+        const settled = [];
+        const mismatched = [];
+        const unsettled = [];
+
+        payouts.forEach(payout => {
+            const link = links.get(payout);
+            if (!link) {
+                unsettled.push(payout);
+                return;
+            }
+            const settlement = {
+                ...payout,
+                bank: link.bank,
+                match_method: link.method,
+                bank_minor: link.bank.amount_minor,
+                variance: link.bank.amount_minor === null ? null : link.bank.amount_minor - payout.expected_minor,
+                lag_days: this.lagDays(payout, link.bank)
+            };
+            if (this.tolerance.allows(payout.expected_minor, link.bank.amount_minor, payout.currency)) {
+                settled.push(settlement);
+            } else {
+                mismatched.push(settlement);
+            }
+        });
+
+        return {
+            settled,
+            mismatched,
+            unsettled,
+            bank_only: bankRows.filter(row => !used.has(row))
+        };
+    }
+
+    // Whole days from the payout to the bank booking. Undated rows can't be ruled
+    // out by date, so they count as same-day.
+    lagDays(payout, bankRow) {
+        if (payout.date_ms === null || bankRow.date_ms === null) {
+            return 0;
+        }
+        return Math.round((bankRow.date_ms - payout.date_ms) / 86400000);
+    }
+}
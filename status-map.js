@@ -0,0 +1,88 @@
+// Maps each side's raw status vocabulary onto a shared set of canonical states
+// so that e.g. our "completed" and a provider's "SETTLED" compare as equal.
+class StatusNormalizer {
+    static get STATES() {
+        return ['succeeded', 'pending', 'failed', 'refunded', 'reversed'];
+    }
+
+    static get DEFAULTS() {
+        return {
+            succeeded: ['succeeded', 'success', 'successful', 'completed', 'complete', 'settled', 'paid', 'captured', 'approved', 'done', 'cleared', 'reconciled', 'posted', 'booked'],
+            pending: ['pending', 'processing', 'in progress', 'authorized', 'authorised', 'initiated', 'submitted', 'queued', 'created', 'open', 'uncleared'],
+            failed: ['failed', 'failure', 'error', 'declined', 'rejected', 'cancelled', 'canceled', 'expired', 'void', 'voided'],
+            refunded: ['refunded', 'refund', 'partially refunded', 'partial refund'],
+            reversed: ['reversed', 'reversal', 'chargeback', 'charged back', 'disputed', 'returned']
+        };
+    }
+
+    // Words that turn a status into its opposite, e.g. "not completed"
+    static get NEGATIONS() {
+        return ['not', 'non', 'no', 'un', 'in'];
+    }
+
+    // overrides: { internal: { rawStatus: state }, provider: { rawStatus: state } }
+    constructor(overrides = {}) {
+        this.overrides = {
+            internal: StatusNormalizer.lowerKeys(overrides.internal),
+            provider: StatusNormalizer.lowerKeys(overrides.provider)
+        };
+
+        this.defaults = new Map();
+        Object.entries(StatusNormalizer.DEFAULTS).forEach(([state, values]) => {
+            values.forEach(value => this.defaults.set(value, state));
+        });
+    }
+
+    static lowerKeys(table = {}) {
+        const lowered = {};
+        Object.entries(table).forEach(([raw, state]) => {
+            lowered[StatusNormalizer.clean(raw)] = state;
+        });
+        return lowered;
+    }
+
+    static clean(raw) {
+        return (raw || '').toString().toLowerCase().replace(/[_-]+/g, ' ').trim();
+    }
+
+    // Returns one of STATES, or 'unknown' when the raw value can't be placed
+    normalize(raw, side) {
+        const key = StatusNormalizer.clean(raw);
+        if (!key) {
+            return 'unknown';
+        }
+
+        const override = side && this.overrides[side] ? this.overrides[side][key] : undefined;
+        if (override) {
+            return override;
+        }
+        if (this.defaults.has(key)) {
+            return this.defaults.get(key);
+        }
+
+        // Fall back to whole words for values like "Payment Completed". Negated forms
+        // ("unpaid", "not completed", "non-settled") are left for the user to map.
+        const words = key.split(/\s+/);
+        for (const [value, state] of this.defaults) {
+            const phrase = value.split(' ');
+            const at = words.findIndex((word, index) => phrase.every((part, offset) => words[index + offset] === part));
+            if (at >= 0 && !StatusNormalizer.NEGATIONS.includes(words[at - 1])) {
+                return state;
+            }
+        }
+        return 'unknown';
+    }
+
+    // 'match' when the states agree, 'timing' for pending vs succeeded (the
+    // transaction has simply not settled on one side yet), otherwise 'conflict'
+    compare(internalState, providerState) {
+        if (internalState === providerState && internalState !== 'unknown') {
+            return 'match';
+        }
+        if (internalState === 'unknown' || providerState === 'unknown') {
+            return 'conflict';
+        }
+        const states = [internalState, providerState].sort().join('|');
+        return states === 'pending|succeeded' ? 'timing' : 'conflict';
+    }
+}
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../cli').loadCore();
+
+test('reads headers and rows, keeping quoted delimiters, quotes and line breaks', () => {
+    const csv = CSVParser.parse('Reference,Description,Amount\r\nTX-1,"Coffee, large",3.50\r\nTX-2,"He said ""hi""\nthen left",10.00\r\n');
+
+    assert.deepEqual(csv.headers, ['Reference', 'Description', 'Amount']);
+    assert.deepEqual(csv.rows.map(row => row.data), [
+        { Reference: 'TX-1', Description: 'Coffee, large', Amount: '3.50' },
+        { Reference: 'TX-2', Description: 'He said "hi"\nthen left', Amount: '10.00' }
+    ]);
+    assert.equal(csv.delimiter, ',');
+});
+
+test('gives the same result however the text is split into chunks', () => {
+    const text = 'a;b\r\n"x;1";"say ""y"""\r\n2;3\r\n';
+    const whole = CSVParser.parse(text);
+
+    for (let size = 1; size <= text.length; size++) {
+        const parser = new CSVParser();
+        for (let start = 0; start < text.length; start += size) {
+            parser.feed(text.slice(start, start + size));
+        }
+        assert.deepEqual(parser.end(), whole, `chunks of ${size}`);
+    }
+    assert.equal(whole.delimiter, ';');
+    assert.deepEqual(whole.rows.map(row => row.data), [{ a: 'x;1', b: 'say "y"' }, { a: '2', b: '3' }]);
+});
+
+test('numbers rows by the line they start on and skips blank lines', () => {
+    const csv = CSVParser.parse('ref,amount\n\nA,"1\n0"\nB,2\n');
+
+    assert.deepEqual(csv.rows.map(row => [row.line, row.data.ref]), [[3, 'A'], [5, 'B']]);
+});
+
+test('rejects rows with the wrong number of columns or an unterminated quote', () => {
+    const csv = CSVParser.parse('ref,amount\nA,1\nB,2,extra\nC,"3');
+
+    assert.deepEqual(csv.rows.map(row => row.data.ref), ['A']);
+    assert.deepEqual(csv.rejected.map(row => [row.line, row.reason]), [
+        [3, 'Expected 2 columns but found 3'],
+        [4, 'Unterminated quoted field']
+    ]);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../cli').loadCore();
+
+const mapping = { Ref: 'reference', Amount: 'amount', Date: 'date', Status: 'status' };
+const rows = [
+    { line: 2, data: { Ref: '', Amount: '10.00', Date: '2024-01-10', Status: 'paid' } },
+    { line: 3, data: { Ref: 'B', Amount: 'ten', Date: '31/02/2024x', Status: 'mystery' } }
+];
+const problems = issues => issues.map(issue => [issue.line, issue.field, issue.severity]);
+
+test('reports each problem by line, field and severity', () => {
+    const issues = new DataQualityCheck().check('internal', rows, mapping);
+
+    assert.deepEqual(problems(issues), [
+        [2, 'reference', 'error'],
+        [3, 'amount', 'error'],
+        [3, 'date', 'warning'],
+        [3, 'status', 'warning']
+    ]);
+    assert.equal(issues[0].column, 'Ref');
+});
+
+test('only makes a blank reference an error when every pass keys on it', () => {
+    const profile = { name: 'Fallback', passes: [{ name: 'reference', key: ['reference'] }, { name: 'amount and date', key: ['amount', 'date'] }] };
+    const issues = new DataQualityCheck({ matchProfile: profile }).check('internal', rows.slice(0, 1), mapping);
+
+    assert.deepEqual(problems(issues), [[2, 'reference', 'warning']]);
+    assert.equal(DataQualityCheck.offendingLines(issues).internal.size, 0);
+});
+
+test('does not ask bank lines for a reference', () => {
+    assert.deepEqual(new DataQualityCheck().check('bank', rows.slice(0, 1), mapping), []);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../cli').loadCore();
+
+test('converts with the latest rate on or before the date', () => {
+    const table = new FxRateTable([
+        { date: '2024-01-01', from: 'EUR', to: 'USD', rate: '1.10' },
+        { date: '2024-02-01', from: 'EUR', to: 'USD', rate: '1.20' }
+    ]);
+
+    assert.deepEqual(table.convert(1000, 'EUR', 'USD', '2024-01-15'), { minor: 1100, rate: '1.10' });
+    assert.deepEqual(table.convert(1000, 'EUR', 'USD', '2024-02-01'), { minor: 1200, rate: '1.20' });
+    assert.equal(table.convert(1000, 'EUR', 'USD', '2023-12-31'), null);
+});
+
+test('uses the inverse of a rate and rounds half up', () => {
+    const table = new FxRateTable([{ from: 'USD', to: 'EUR', rate: '0.8' }]);
+
+    assert.deepEqual(table.convert(1001, 'EUR', 'USD'), { minor: 1251, rate: '1/0.8' });
+    assert.deepEqual(table.convert(-1001, 'EUR', 'USD'), { minor: -1251, rate: '1/0.8' });
+});
+
+test('converts between currencies with different minor digits', () => {
+    const table = new FxRateTable([{ from: 'USD', to: 'JPY', rate: '150.5' }]);
+
+    assert.deepEqual(table.convert(1000, 'USD', 'JPY'), { minor: 1505, rate: '150.5' });
+    assert.deepEqual(table.convert(1505, 'JPY', 'USD'), { minor: 1000, rate: '1/150.5' });
+});
+
+test('leaves amounts in the same currency and unknown pairs alone', () => {
+    const table = new FxRateTable();
+
+    assert.deepEqual(table.convert(123, 'usd', 'USD'), { minor: 123, rate: '1' });
+    assert.equal(table.convert(123, 'USD', 'GBP'), null);
+    assert.equal(table.convert(null, 'USD', 'GBP'), null);
+});
+
+test('accepts numeric rates, including ones printed in exponent form', () => {
+    const table = new FxRateTable([{ from: 'VND', to: 'USD', rate: 0.0000001 }, { from: 'USD', to: 'EUR', rate: 0.9 }]);
+
+    assert.deepEqual(table.rates.map(rate => rate.rate), ['0.0000001', '0.9']);
+    assert.deepEqual(table.convert(50000000, 'VND', 'USD'), { minor: 500, rate: '0.0000001' });
+});
+
+test('rejects rates that are not positive decimals', () => {
+    [0, -1, '1e', 'abc', null].forEach(rate => {
+        assert.throws(() => new FxRateTable([{ from: 'USD', to: 'EUR', rate }]), /positive decimal rate/, String(rate));
+    });
+    assert.throws(() => new FxRateTable([{ to: 'EUR', rate: '1' }]), /currency codes/);
+});
+
+test('parses CSV rate lists and reports bad lines', () => {
+    const { table, errors } = FxRateTable.parse('date,from,to,rate\n2024-01-01,eur,usd,1.1\nGBP,USD,1.25\nUSD,EUR,0\nUSD,EUR');
+
+    assert.deepEqual(table.rates.map(rate => [rate.date, rate.from, rate.to, rate.rate]), [
+        ['', 'GBP', 'USD', '1.25'],
+        ['2024-01-01', 'EUR', 'USD', '1.1']
+    ]);
+    assert.equal(errors.length, 2);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../cli').loadCore();
+
+test('parses amounts into integer minor units', () => {
+    const cases = [
+        ['1,234.50', 'USD', 123450],
+        ['1.234,50', 'EUR', 123450],
+        ['1,234', 'USD', 123400],
+        ['(12.00)', 'USD', -1200],
+        ['12.00-', 'USD', -1200],
+        ['+7', 'USD', 700],
+        ['0.125', 'USD', 13],
+        ['0.124', 'USD', 12],
+        ['12.500', 'USD', 1250000],
+        ['JPY 1,000', '', 1000],
+        ['1.234', 'KWD', 1234],
+        ['0.1', 'USD', 10]
+    ];
+    cases.forEach(([text, currency, minor]) => {
+        assert.equal(Money.parse(text, currency).minor, minor, text);
+    });
+});
+
+test('picks the currency up from a symbol or code when none is given', () => {
+    assert.deepEqual(Money.parse('-€3'), { minor: -300, currency: 'EUR' });
+    assert.deepEqual(Money.parse('KES 500'), { minor: 50000, currency: 'KES' });
+    assert.deepEqual(Money.parse('£5', 'USD'), { minor: 500, currency: 'USD' });
+});
+
+test('returns null minor units for text that is not a number', () => {
+    ['', 'abc', '1.2,3,4', '12 apples', '9'.repeat(20)].forEach(text => {
+        assert.equal(Money.parse(text, 'USD').minor, null, text);
+    });
+});
+
+test('formats minor units as plain decimals in the currency\'s precision', () => {
+    assert.equal(Money.toDecimal(-123456, 'USD'), '-1234.56');
+    assert.equal(Money.toDecimal(5, 'USD'), '0.05');
+    assert.equal(Money.toDecimal(5, 'JPY'), '5');
+    assert.equal(Money.toDecimal(1234, 'KWD'), '1.234');
+    assert.equal(Money.toDecimal(null, 'USD'), '');
+});
+
+test('allows differences within an absolute, percentage or per-currency tolerance', () => {
+    const absolute = new AmountTolerance({ mode: 'absolute', absolute: '0.05' });
+    assert.equal(absolute.allows(1000, 1005, 'USD'), true);
+    assert.equal(absolute.allows(1000, 1006, 'USD'), false);
+    assert.equal(absolute.allows(null, 1000, 'USD'), false);
+
+    const percentage = new AmountTolerance({ mode: 'percentage', percentage: 1 });
+    assert.equal(percentage.allows(10000, 10100, 'USD'), true);
+    assert.equal(percentage.allows(10000, 10101, 'USD'), false);
+
+    const perCurrency = new AmountTolerance({ mode: 'per_currency', absolute: '0.00', perCurrency: { JPY: '5' } });
+    assert.equal(perCurrency.allows(1000, 1005, 'JPY'), true);
+    assert.equal(perCurrency.allows(1000, 1001, 'USD'), false);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../cli').loadCore();
+
+let line = 1;
+const row = (reference, amount, extra = {}) => ({ line: ++line, reference, amount, currency: 'USD', status: 'paid', date: '2024-01-10', ...extra });
+const references = rows => rows.map(txn => txn.reference).sort();
+const reconcile = (internal, provider, settings = {}) => new ReconciliationEngine().reconcile(internal, provider, settings);
+
+test('pairs rows on their reference and sorts them by outcome', () => {
+    const results = reconcile(
+        [row('A', '10.00'), row('B', '20.00'), row('C', '30.00', { status: 'pending' }), row('D', '5.00')],
+        [row('A', '10.00'), row('B', '20.50'), row('C', '30.00'), row('E', '7.00')]
+    );
+
+    assert.deepEqual(results.matched.map(match => match.transaction_reference), ['A']);
+    assert.deepEqual(results.mismatched.map(match => [match.transaction_reference, match.variance]), [['B', 50]]);
+    assert.deepEqual(results.status_timing.map(match => match.transaction_reference), ['C']);
+    assert.deepEqual(references(results.internal_only), ['D']);
+    assert.deepEqual(references(results.provider_only), ['E']);
+    assert.equal(results.matched[0].match_rule, 'reference');
+});
+
+test('reports "unpaid" against "paid" as a status conflict', () => {
+    const results = reconcile([row('U1', '10.00', { status: 'unpaid' })], [row('U1', '10.00', { status: 'paid' })]);
+
+    assert.equal(results.matched.length, 0);
+    assert.equal(results.mismatched.length, 1);
+    assert.equal(results.mismatched[0].internal.status_state, 'unknown');
+    assert.equal(results.mismatched[0].provider.status_state, 'succeeded');
+});
+
+test('lists a repeated reference as a duplicate with every row carrying it', () => {
+    const internal = [row('D1', '5.00'), row('D1', '5.00'), row('OK', '1.00')];
+    const provider = [row('D1', '5.00'), row('OK', '1.00')];
+    const results = reconcile(internal, provider);
+
+    assert.equal(results.duplicates.length, 1);
+    assert.equal(results.duplicates[0].reference, 'D1');
+    assert.deepEqual(results.duplicates[0].internal, internal.slice(0, 2));
+    assert.deepEqual(results.duplicates[0].provider, [provider[0]]);
+    assert.deepEqual(results.matched.map(match => match.transaction_reference), ['OK']);
+    assert.equal(results.internal_only.length, 0);
+    assert.equal(results.provider_only.length, 0);
+});
+
+test('still reports a duplicate when a later pass pairs one of its rows', () => {
+    const profile = {
+        name: 'Reference, then amount and date',
+        passes: [{ name: 'reference', key: ['reference'] }, { name: 'amount and date', key: ['amount', 'date'] }]
+    };
+    const internal = [row('D1', '10.00'), row('D1', '20.00')];
+    const provider = [row('P-9', '10.00')];
+    const results = reconcile(internal, provider, { matchProfile: profile });
+
+    assert.deepEqual(results.matched.map(match => [match.internal, match.provider, match.match_rule]), [[internal[0], provider[0], 'amount and date']]);
+    assert.deepEqual(results.duplicates.map(duplicate => [duplicate.reference, duplicate.internal]), [['D1', internal]]);
+    assert.equal(results.internal_only.length, 0);
+});
+
+test('leaves rows that share a key of another pass unpaired instead of calling them duplicates', () => {
+    const profile = { name: 'Amount and date', passes: [{ name: 'amount and date', key: ['amount', 'date'] }] };
+    const internal = [row('A', '10.00'), row('B', '10.00')];
+    const provider = [row('X', '10.00')];
+    const results = reconcile(internal, provider, { matchProfile: profile });
+
+    assert.equal(results.duplicates.length, 0);
+    assert.equal(results.matched.length, 0);
+    const left = [...results.internal_only, ...results.provider_only, ...results.suggested.flatMap(suggestion => [suggestion.internal, suggestion.provider])];
+    assert.deepEqual(references([...new Set(left)]), ['A', 'B', 'X']);
+});
+
+test('pairs on a provider column named by the profile', () => {
+    const profile = {
+        name: 'Order ID',
+        passes: [{ name: 'order', key: ['reference'], provider: { key: ['column:Order ID'], normalize: ['trim', 'upper'] } }]
+    };
+    const results = reconcile(
+        [row('O-1', '10.00'), row('O-2', '20.00')],
+        [row('PO1', '10.00', { raw: { 'Order ID': ' o-1 ' } }), row('PO2', '20.00', { raw: { 'Order ID': 'O-2' } })],
+        { matchProfile: profile }
+    );
+
+    assert.deepEqual(results.matched.map(match => [match.transaction_reference, match.provider_reference, match.match_rule]), [
+        ['O-1', 'PO1', 'order'],
+        ['O-2', 'PO2', 'order']
+    ]);
+});
+
+test('keeps rows for the next pass when a requireMatch pass disagrees', () => {
+    const profile = {
+        name: 'Strict first',
+        passes: [
+            { name: 'strict', key: ['reference'], compare: { amount: { mode: 'absolute', absolute: '0.00' } }, requireMatch: true },
+            { name: 'loose', key: ['reference'], compare: { amount: { mode: 'absolute', absolute: '1.00' } } }
+        ]
+    };
+    const results = reconcile([row('A', '10.00'), row('B', '10.00')], [row('A', '10.00'), row('B', '10.50')], { matchProfile: profile });
+
+    assert.deepEqual(results.matched.map(match => [match.transaction_reference, match.match_rule]), [['A', 'strict'], ['B', 'loose']]);
+});
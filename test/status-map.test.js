@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../cli').loadCore();
+
+test('maps common status words onto canonical states', () => {
+    const statuses = new StatusNormalizer();
+    const cases = {
+        SETTLED: 'succeeded',
+        Completed: 'succeeded',
+        in_progress: 'pending',
+        'charged-back': 'reversed',
+        'Partially Refunded': 'refunded',
+        declined: 'failed',
+        '': 'unknown',
+        weird: 'unknown'
+    };
+    Object.entries(cases).forEach(([raw, state]) => {
+        assert.equal(statuses.normalize(raw, 'internal'), state, raw);
+    });
+});
+
+test('falls back to whole words but not to negated ones', () => {
+    const statuses = new StatusNormalizer();
+
+    assert.equal(statuses.normalize('Payment Completed'), 'succeeded');
+    assert.equal(statuses.normalize('card declined by issuer'), 'failed');
+    ['unpaid', 'not completed', 'non-settled', 'no refund', 'incomplete'].forEach(raw => {
+        assert.equal(statuses.normalize(raw), 'unknown', raw);
+    });
+});
+
+test('lets each side override the defaults', () => {
+    const statuses = new StatusNormalizer({ provider: { 'Awaiting Payout': 'pending', UNPAID: 'failed' } });
+
+    assert.equal(statuses.normalize('awaiting_payout', 'provider'), 'pending');
+    assert.equal(statuses.normalize('unpaid', 'provider'), 'failed');
+    assert.equal(statuses.normalize('unpaid', 'internal'), 'unknown');
+});
+
+test('treats pending against succeeded as timing and anything else as a conflict', () => {
+    const statuses = new StatusNormalizer();
+
+    assert.equal(statuses.compare('succeeded', 'succeeded'), 'match');
+    assert.equal(statuses.compare('pending', 'succeeded'), 'timing');
+    assert.equal(statuses.compare('succeeded', 'pending'), 'timing');
+    assert.equal(statuses.compare('failed', 'succeeded'), 'conflict');
+    assert.equal(statuses.compare('unknown', 'unknown'), 'conflict');
+    assert.equal(statuses.compare(statuses.normalize('unpaid'), statuses.normalize('paid')), 'conflict');
+});
@@ -0,0 +1,102 @@
+// A small non-validating XML reader for the statement and spreadsheet formats we
+// import. DOMParser isn't available in workers or Node, so this builds a plain
+// tree instead: { name, attributes, children, text, line }. Element names are
+// compared without their namespace prefix.
+class XmlReader {
+    static parse(text) {
+        const root = { name: '#document', attributes: {}, children: [], text: '', line: 1 };
+        const stack = [root];
+        const pattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+        let line = 1;
+        let position = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            // Track line numbers so rows can point back at their place in the file
+            for (; position < match.index; position++) {
+                if (text.charCodeAt(position) === 10) {
+                    line++;
+                }
+            }
+
+            const current = stack[stack.length - 1];
+            if (match[1] !== undefined) {
+                current.text += match[1];
+            } else if (match[2] !== undefined) {
+                if (stack.length > 1) {
+                    stack.pop();
+                }
+            } else if (match[3] !== undefined) {
+                const element = {
+                    name: XmlReader.localName(match[3]),
+                    attributes: XmlReader.attributes(match[4]),
+                    children: [],
+                    text: '',
+                    line
+                };
+                current.children.push(element);
+                if (!match[5]) {
+                    stack.push(element);
+                }
+            } else if (match[6] !== undefined) {
+                current.text += XmlReader.decode(match[6]);
+            }
+        }
+
+        return root;
+    }
+
+    static localName(name) {
+        const colon = name.indexOf(':');
+        return colon === -1 ? name : name.slice(colon + 1);
+    }
+
+    static attributes(source = '') {
+        const attributes = {};
+        const pattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+        while ((match = pattern.exec(source)) !== null) {
+            attributes[XmlReader.localName(match[1])] = XmlReader.decode(match[2] ?? match[3]);
+        }
+        return attributes;
+    }
+
+    static decode(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+            const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[code.toLowerCase()];
+            if (named) {
+                return named;
+            }
+            return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1)));
+        });
+    }
+
+    static children(element, name) {
+        return element ? element.children.filter(child => child.name === name) : [];
+    }
+
+    // Follows a "A/B/C" path of child names and returns the first element found
+    static find(element, path) {
+        let current = element;
+        for (const name of path.split('/')) {
+            current = current ? current.children.find(child => child.name === name) : null;
+        }
+        return current || null;
+    }
+
+    static text(element, path) {
+        const found = path ? XmlReader.find(element, path) : element;
+        return found ? found.text.trim() : '';
+    }
+
+    // Every descendant with the given name, depth first
+    static descendants(element, name, found = []) {
+        element.children.forEach(child => {
+            if (child.name === name) {
+                found.push(child);
+            }
+            XmlReader.descendants(child, name, found);
+        });
+        return found;
+    }
+}
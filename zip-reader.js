@@ -0,0 +1,77 @@
+// Reads entries out of a ZIP archive (as used by XLSX). Deflated entries are
+// inflated with the platform's DecompressionStream.
+class ZipReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.entries = new Map();
+        this.readDirectory();
+    }
+
+    static isZip(bytes) {
+        return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+    }
+
+    readDirectory() {
+        // The end-of-central-directory record sits in the last 22 bytes plus any comment
+        let end = -1;
+        for (let i = this.bytes.length - 22; i >= Math.max(0, this.bytes.length - 22 - 65535); i--) {
+            if (this.view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw new Error('Not a valid ZIP archive');
+        }
+
+        const count = this.view.getUint16(end + 10, true);
+        let offset = this.view.getUint32(end + 16, true);
+        const decoder = new TextDecoder('utf-8');
+
+        for (let i = 0; i < count; i++) {
+            if (this.view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+            const method = this.view.getUint16(offset + 10, true);
+            const compressedSize = this.view.getUint32(offset + 20, true);
+            const nameLength = this.view.getUint16(offset + 28, true);
+            const extraLength = this.view.getUint16(offset + 30, true);
+            const commentLength = this.view.getUint16(offset + 32, true);
+            const headerOffset = this.view.getUint32(offset + 42, true);
+            const name = decoder.decode(this.bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            this.entries.set(name, { method, compressedSize, headerOffset });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+    }
+
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    async bytesOf(name) {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            return null;
+        }
+
+        const header = entry.headerOffset;
+        const start = header + 30 + this.view.getUint16(header + 26, true) + this.view.getUint16(header + 28, true);
+        const data = this.bytes.subarray(start, start + entry.compressedSize);
+
+        if (entry.method === 0) {
+            return data;
+        }
+        if (entry.method === 8) {
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+        throw new Error(`Unsupported ZIP compression method ${entry.method} for ${name}`);
+    }
+
+    async text(name) {
+        const bytes = await this.bytesOf(name);
+        return bytes === null ? null : new TextDecoder('utf-8').decode(bytes);
+    }
+}